@@ -0,0 +1,185 @@
+// This script handles air quality: it fetches OWM's current and forecast air pollution for a point
+// and computes the US EPA AQI from the pollutant concentrations, per pollutant and overall.
+// Breakpoints are the EPA tables (Technical Assistance Document for the Reporting of Daily Air
+// Quality, May 2024 revision, with the 2024 PM2.5 breakpoints).
+
+// Imports
+import { fetchUpstreamJson } from './upstream.js';
+import { safeParseFloat, unixToIso } from './utils.js';
+import { logMessage } from './logging.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+const airPollutionUrls = {
+    current: 'https://api.openweathermap.org/data/2.5/air_pollution',
+    forecast: 'https://api.openweathermap.org/data/2.5/air_pollution/forecast',
+};
+
+// AQI categories by upper bound, with the EPA names and colors
+const aqiCategories = [
+    { max: 50, name: 'Good', color: '#00E400' },
+    { max: 100, name: 'Moderate', color: '#FFFF00' },
+    { max: 150, name: 'Unhealthy for Sensitive Groups', color: '#FF7E00' },
+    { max: 200, name: 'Unhealthy', color: '#FF0000' },
+    { max: 300, name: 'Very Unhealthy', color: '#8F3F97' },
+    { max: 500, name: 'Hazardous', color: '#7E0023' },
+];
+
+// Breakpoint rows are [concentration low, concentration high, AQI low, AQI high]. Concentrations
+// are truncated to `decimals` before the lookup, as the EPA specifies.
+const breakpoints = {
+    pm2_5: { unit: 'µg/m³', decimals: 1, rows: [[0.0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]] },
+    pm10: { unit: 'µg/m³', decimals: 0, rows: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]] },
+    o3_8h: { unit: 'ppm', decimals: 3, rows: [[0.000, 0.054, 0, 50], [0.055, 0.070, 51, 100], [0.071, 0.085, 101, 150], [0.086, 0.105, 151, 200], [0.106, 0.200, 201, 300]] },
+    o3_1h: { unit: 'ppm', decimals: 3, rows: [[0.125, 0.164, 101, 150], [0.165, 0.204, 151, 200], [0.205, 0.404, 201, 300], [0.405, 0.604, 301, 500]] },
+    co: { unit: 'ppm', decimals: 1, rows: [[0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]] },
+    so2_1h: { unit: 'ppb', decimals: 0, rows: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200]] },
+    so2_24h: { unit: 'ppb', decimals: 0, rows: [[305, 604, 201, 300], [605, 1004, 301, 500]] },
+    no2: { unit: 'ppb', decimals: 0, rows: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]] },
+};
+
+// Molecular weights (g/mol) to convert OWM's µg/m³ to ppb at 25°C and 1 atm (molar volume 24.45 L)
+const molecularWeights = { o3: 48.00, co: 28.01, so2: 64.07, no2: 46.01 };
+const toPpb = (microgramsPerM3, gas) => microgramsPerM3 * 24.45 / molecularWeights[gas];
+
+// OWM component and averaging period (hours) behind each concentration that is looked up
+const averaging = {
+    pm2_5: { component: 'pm2_5', hours: 24 },
+    pm10: { component: 'pm10', hours: 24 },
+    o3_8h: { component: 'o3', hours: 8 },
+    o3_1h: { component: 'o3', hours: 1 },
+    co: { component: 'co', hours: 8 },
+    so2_1h: { component: 'so2', hours: 1 },
+    so2_24h: { component: 'so2', hours: 24 },
+    no2: { component: 'no2', hours: 1 },
+};
+
+// Pollutants reported, by their OWM component names
+const pollutants = ['pm2_5', 'pm10', 'o3', 'co', 'so2', 'no2'];
+
+function category(aqi) {
+    if (aqi === null) return null;
+    return aqiCategories.find(({ max }) => aqi <= max) || aqiCategories[aqiCategories.length - 1];
+}
+
+// AQI of one concentration (in the table's unit) with the linear interpolation of the EPA:
+// I = (Ihi - Ilo) / (BPhi - BPlo) * (C - BPlo) + Ilo. Concentrations above the table are reported
+// as 500; below the first row (only the 1-hour ozone table starts above 0) there is no AQI.
+function concentrationAqi(table, concentration) {
+    if (concentration === null || concentration === undefined || isNaN(concentration) || concentration < 0) return null;
+    const { decimals, rows } = breakpoints[table];
+    const factor = Math.pow(10, decimals);
+    const c = Math.floor(concentration * factor + 1e-9) / factor;
+    const row = rows.find(([low, high]) => c >= low && c <= high);
+    if (!row) return c > rows[rows.length - 1][1] ? 500 : null;
+    const [low, high, aqiLow, aqiHigh] = row;
+    return Math.round((aqiHigh - aqiLow) / (high - low) * (c - low) + aqiLow);
+}
+
+// AQI of each pollutant from its averaged concentrations in µg/m³
+// (`averages` holds a value per `averaging` key, e.g. { pm2_5, o3_8h, o3_1h, ... })
+function pollutantAqis(averages) {
+    const ppm = (value, gas) => value === null ? null : toPpb(value, gas) / 1000;
+    const ppb = (value, gas) => value === null ? null : toPpb(value, gas);
+
+    // Ozone is the higher of its 8-hour AQI (defined up to 0.200 ppm) and its 1-hour AQI (from 0.125 ppm)
+    const o3Hourly = concentrationAqi('o3_1h', ppm(averages.o3_1h, 'o3'));
+    const o3_8h = ppm(averages.o3_8h, 'o3');
+    const o3Eight = o3_8h !== null && o3_8h <= 0.200 ? concentrationAqi('o3_8h', o3_8h) : null;
+    const o3 = o3Eight === null && o3Hourly === null ? null : Math.max(o3Eight ?? 0, o3Hourly ?? 0);
+
+    // SO2 uses its 1-hour AQI up to 304 ppb, then the 24-hour average (at least 200)
+    const so2Hourly = ppb(averages.so2_1h, 'so2');
+    const so2 = so2Hourly === null ? null
+        : so2Hourly <= 304 ? concentrationAqi('so2_1h', so2Hourly)
+            : Math.max(200, concentrationAqi('so2_24h', ppb(averages.so2_24h, 'so2')) ?? 200);
+
+    return {
+        pm2_5: concentrationAqi('pm2_5', averages.pm2_5),
+        pm10: concentrationAqi('pm10', averages.pm10),
+        o3,
+        co: concentrationAqi('co', ppm(averages.co, 'co')),
+        so2,
+        no2: concentrationAqi('no2', ppb(averages.no2, 'no2')),
+    };
+}
+
+// Overall AQI from per-pollutant AQIs: the highest, naming its pollutant as dominant
+function overallAqi(aqis) {
+    let dominant = null;
+    Object.entries(aqis).forEach(([pollutant, aqi]) => {
+        if (aqi !== null && (dominant === null || aqi > aqis[dominant])) dominant = pollutant;
+    });
+    const aqi = dominant !== null ? aqis[dominant] : null;
+    const { name = null, color = null } = category(aqi) || {};
+    return { aqi, category: name, color, dominant_pollutant: dominant };
+}
+
+// Mean of a component over the `hours` entries of the hourly series ending at `index`
+function trailingAverage(series, index, component, hours) {
+    const values = series.slice(Math.max(0, index - hours + 1), index + 1)
+        .map((entry) => entry.components[component])
+        .filter((value) => value !== null);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+async function fetchAirPollution(type, lat, lon, { timeout, deadline, requestId } = {}) {
+    return fetchUpstreamJson(
+        `${airPollutionUrls[type]}?lat=${lat}&lon=${lon}&appid=${process.env.OWM_API_KEY}`,
+        type === 'forecast' ? 'OWM air pollution forecast' : 'OWM air pollution',
+        { timeout, deadline, requestId }
+    );
+}
+
+// Build { current, hourly } from the raw OWM current and forecast air pollution responses.
+// Both are joined into one hourly series, and each hour's AQI uses the concentrations averaged
+// over the pollutant's averaging period, as far back as the series goes (OWM gives no history
+// here, so the current hour's AQI uses the current concentrations alone).
+function parseAirQuality(rawCurrent, rawForecast, options = {}) {
+    const logFields = options.requestId ? { request_id: options.requestId } : {};
+    const toEntry = (item) => ({
+        dt: item?.dt,
+        components: Object.fromEntries(pollutants.map((pollutant) => [pollutant, safeParseFloat(item?.components?.[pollutant])])),
+    });
+
+    const current = Array.isArray(rawCurrent?.list) && rawCurrent.list.length > 0 ? toEntry(rawCurrent.list[0]) : null;
+    const forecast = (Array.isArray(rawForecast?.list) ? rawForecast.list : [])
+        .map(toEntry)
+        .filter((entry) => entry.dt && (!current || entry.dt > current.dt))
+        .sort((a, b) => a.dt - b.dt);
+    const series = current ? [current, ...forecast] : forecast;
+
+    try {
+        const hours = series.map((entry, i) => {
+            const averages = {};
+            Object.entries(averaging).forEach(([key, { component, hours }]) => {
+                averages[key] = trailingAverage(series, i, component, hours);
+            });
+            const aqis = pollutantAqis(averages);
+            return { entry, aqis, overall: overallAqi(aqis) };
+        });
+
+        const now = current ? hours[0] : null;
+        return {
+            current: now ? {
+                time: unixToIso(now.entry.dt),
+                ...now.overall,
+                pollutants: Object.fromEntries(pollutants.map((pollutant) => [pollutant, {
+                    concentration: now.entry.components[pollutant], // µg/m³
+                    aqi: now.aqis[pollutant],
+                }])),
+            } : null,
+            hourly: hours.slice(current ? 1 : 0).map(({ entry, overall }) => ({
+                time: unixToIso(entry.dt),
+                ...overall,
+            })),
+        };
+    } catch (e) {
+        logMessage(`Unable to parse air quality: ${e.message}`, 'warn', loglevel, logFields);
+        return { current: null, hourly: [] };
+    }
+}
+
+// Exports
+export { aqiCategories, concentrationAqi, pollutantAqis, overallAqi, fetchAirPollution, parseAirQuality };
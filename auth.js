@@ -0,0 +1,192 @@
+// This script handles API key authentication: a store of named keys with per-key scopes
+// (the routes each key may call) and per-minute and per-day rate limits
+
+// Imports
+import { logMessage } from './logging.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+const keysFile = process.env.API_KEYS_FILE || './api_keys.json';
+
+// Scopes a key can be granted; "*" grants all of them
+const apiScopes = ['onecall', 'alerts', 'airquality', 'radar', 'stream', 'subscriptions', 'admin'];
+
+// Scopes of keys in the file that do not list any
+const defaultScopes = apiScopes.filter((scope) => scope !== 'admin');
+
+// Default requests allowed per key in each window, 0 for no limit; keys can override these
+const defaultLimits = {
+    minute: process.env.RATE_LIMIT_MINUTE !== undefined ? parseInt(process.env.RATE_LIMIT_MINUTE) || 0 : 60,
+    day: process.env.RATE_LIMIT_DAY !== undefined ? parseInt(process.env.RATE_LIMIT_DAY) || 0 : 10000,
+};
+
+// Length (seconds) of each rate limit window
+const windows = {
+    minute: 60,
+    day: 24 * 60 * 60,
+};
+
+let apiKeys = [];
+
+// Request counts per key name and window: { start, count }
+const usage = new Map();
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+// Only the first characters of a key are ever logged
+const maskKey = (key) => key ? `${String(key).substring(0, 4)}****` : '(none)';
+
+// Load the key store from API_KEYS_FILE, a JSON list of
+// { name, key, scopes, rate_limit: { minute, day }, disabled }.
+// The single API_KEY from the environment is kept as a key named "default" with every scope.
+function loadApiKeys() {
+    const loaded = [];
+    try {
+        if (fs.existsSync(keysFile)) {
+            const saved = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+            if (!Array.isArray(saved)) {
+                throw new Error('expected a list of keys');
+            }
+            saved.forEach((entry, index) => {
+                if (!entry?.name || !entry?.key) {
+                    logMessage(`Skipping API key ${index} in ${keysFile}: missing name or key`, 'warn', loglevel);
+                    return;
+                }
+                const scopes = Array.isArray(entry.scopes) ? entry.scopes.map(String) : defaultScopes;
+                const unknown = scopes.filter((scope) => scope !== '*' && !apiScopes.includes(scope));
+                if (unknown.length > 0) {
+                    logMessage(`API key "${entry.name}" has unknown scopes: ${unknown.join(', ')}`, 'warn', loglevel);
+                }
+                loaded.push({
+                    name: String(entry.name),
+                    hash: hashKey(entry.key),
+                    scopes: scopes,
+                    limits: { ...defaultLimits, ...entry.rate_limit },
+                    disabled: entry.disabled === true,
+                });
+            });
+        }
+    } catch (err) {
+        // Keep the previous keys rather than locking everyone out over a bad edit
+        logMessage(`Error loading API keys from ${keysFile}: ${err.message}`, 'error', loglevel);
+        return;
+    }
+
+    if (process.env.API_KEY && !loaded.some((entry) => entry.name === 'default')) {
+        loaded.push({ name: 'default', hash: hashKey(process.env.API_KEY), scopes: ['*'], limits: { ...defaultLimits }, disabled: false });
+    }
+
+    apiKeys = loaded;
+    logMessage(`Loaded ${apiKeys.length} API keys`, 'info', loglevel);
+    if (apiKeys.length === 0) {
+        console.warn(`Warning: no API keys configured. Set API_KEY or add keys to ${keysFile}.`);
+    }
+}
+
+// Reload the key store when the file changes, so keys can be added or revoked without a restart
+function watchApiKeys() {
+    fs.watchFile(keysFile, { interval: 5000 }, loadApiKeys).unref();
+}
+
+// Find the key record for a presented key. Every key is compared, in constant time,
+// so the response time does not reveal how close a guess was.
+function findApiKey(presented) {
+    if (!presented) return null;
+    const hash = hashKey(presented);
+    let found = null;
+    apiKeys.forEach((entry) => {
+        if (crypto.timingSafeEqual(hash, entry.hash) && !found) {
+            found = entry;
+        }
+    });
+    return found;
+}
+
+// The key a request presents: Authorization: Bearer <key> (or ApiKey <key>), X-API-Key, or the key
+// query parameter. Other Authorization schemes (e.g. Basic auth added by a proxy) are ignored.
+function presentedKey(req) {
+    const match = (req.get('Authorization') || '').match(/^(?:Bearer|ApiKey)\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return req.get('X-API-Key') || req.query.key;
+}
+
+// Count a request against a key's windows; returns the window closest to its limit
+// ({ limit, remaining, reset }) and whether the request is allowed
+function consumeRateLimit(entry) {
+    const now = Date.now();
+    let tightest = null;
+    let allowed = true;
+    const counters = Object.keys(windows)
+        .filter((window) => entry.limits[window] > 0)
+        .map((window) => {
+            const id = `${entry.name}:${window}`;
+            const length = windows[window] * 1000;
+            let counter = usage.get(id);
+            if (!counter || now - counter.start >= length) {
+                counter = { start: Math.floor(now / length) * length, count: 0 };
+                usage.set(id, counter);
+            }
+            if (counter.count >= entry.limits[window]) {
+                allowed = false;
+            }
+            return { window, counter, length };
+        });
+
+    counters.forEach(({ window, counter, length }) => {
+        if (allowed) counter.count++;
+        const status = {
+            limit: entry.limits[window],
+            remaining: Math.max(0, entry.limits[window] - counter.count),
+            reset: Math.ceil((counter.start + length - now) / 1000),
+        };
+        if (!tightest || status.remaining < tightest.remaining || (status.remaining === tightest.remaining && status.reset > tightest.reset)) {
+            tightest = status;
+        }
+    });
+    return { allowed, status: tightest };
+}
+
+// Middleware requiring a valid, enabled API key with `scope` that is within its rate limits.
+// The key record ({ name, scopes }) is available to the route as req.apiKey.
+function requireApiKey(scope) {
+    return (req, res, next) => {
+        const logFields = { request_id: req.id };
+        const presented = presentedKey(req);
+        const entry = findApiKey(presented);
+        if (!entry || entry.disabled) {
+            logMessage(`Unauthorized access attempt to ${req.path} with API key: ${maskKey(presented)}`, 'warn', loglevel, logFields);
+            res.status(401).json({ status: "ERROR", code: 401, message: "Invalid API key" });
+            return;
+        }
+        if (!entry.scopes.includes('*') && !entry.scopes.includes(scope)) {
+            logMessage(`API key "${entry.name}" is not allowed to access ${req.path}`, 'warn', loglevel, logFields);
+            res.status(403).json({ status: "ERROR", code: 403, message: `API key is not allowed to access ${scope}` });
+            return;
+        }
+
+        const { allowed, status } = consumeRateLimit(entry);
+        if (status) {
+            res.set({
+                'RateLimit-Policy': Object.keys(windows).filter((window) => entry.limits[window] > 0).map((window) => `${entry.limits[window]};w=${windows[window]}`).join(', '),
+                'RateLimit-Limit': status.limit,
+                'RateLimit-Remaining': status.remaining,
+                'RateLimit-Reset': status.reset,
+            });
+        }
+        if (!allowed) {
+            logMessage(`API key "${entry.name}" is rate limited at ${req.path}`, 'warn', loglevel, logFields);
+            res.set('Retry-After', status.reset);
+            res.status(429).json({ status: "ERROR", code: 429, message: "Rate limit exceeded" });
+            return;
+        }
+
+        req.apiKey = { name: entry.name, scopes: entry.scopes };
+        next();
+    };
+}
+
+// Exports
+export { loadApiKeys, watchApiKeys, requireApiKey };
@@ -0,0 +1,82 @@
+// Benchmark of SPC outlook and MCD point lookups: the grid index (geoindex.js) against a linear
+// scan of every polygon, as parseSpcRisks and parseMcds did before the index.
+// Usage: node bench/geoindex.js [spc_cache.json] [mcd_cache.json]
+// Defaults to the day 1-3 categorical outlooks and MCDs in bench/fixtures, in the layout SPC serves them;
+// pass the server's cache files (in CACHE_DIR) to benchmark the products of its last refresh instead.
+
+import fs from 'fs';
+import { pointInPolygon, geometryPolygons, indexCollection, featuresAt } from '../geoindex.js';
+
+const fixture = (name) => new URL(`./fixtures/${name}`, import.meta.url);
+const spcFile = process.argv[2] || null;
+const mcdFile = process.argv[3] || null;
+
+// Lookups per collection, at points spread over the contiguous US
+const lookups = 20000;
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.warn(`Skipping ${file}: ${err.message}`);
+        return null;
+    }
+}
+
+// Cache files hold { data, ... } per product; files from older versions hold the bare GeoJSON
+const unwrap = (product) => product?.type === 'FeatureCollection' ? product : product?.data || null;
+
+const collections = [];
+const spc = spcFile ? readJson(spcFile) : null;
+['day1', 'day2', 'day3'].forEach((day) => {
+    const collection = spcFile ? unwrap(spc?.[day]) : readJson(fixture(`${day}otlk_cat.nolyr.geojson`));
+    if (collection?.features?.length) collections.push({ name: `SPC ${day}`, collection });
+});
+const mcd = mcdFile ? unwrap(readJson(mcdFile)) : readJson(fixture('spc_mesoscale_discussion.geojson'));
+if (mcd?.features?.length) collections.push({ name: 'MCD', collection: mcd });
+
+if (collections.length === 0) {
+    console.error('No outlook or MCD features to benchmark.');
+    process.exit(1);
+}
+
+// Same points on every run (linear congruential generator)
+let seed = 42;
+const random = () => (seed = (seed * 1664525 + 1013904223) % 4294967296) / 4294967296;
+const points = Array.from({ length: lookups }, () => [-125 + random() * 59, 24 + random() * 26]);
+
+const linearScan = (collection, point) => collection.features.filter((feature) =>
+    geometryPolygons(feature?.geometry).some((polygon) => pointInPolygon(point, polygon))
+);
+
+const time = (fn) => {
+    const started = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+};
+
+console.log(`${lookups} lookups per collection\n`);
+console.log(['collection', 'features', 'build ms', 'linear µs', 'index µs', 'speedup'].map((h) => h.padStart(12)).join(''));
+collections.forEach(({ name, collection }) => {
+    const build = time(() => indexCollection(collection));
+    const linear = time(() => points.map((point) => linearScan(collection, point)));
+    const indexed = time(() => points.map((point) => featuresAt(collection, point)));
+
+    // Both must find the same features for every point
+    const mismatches = points.filter((point, i) =>
+        linear.result[i].length !== indexed.result[i].length || linear.result[i].some((feature, j) => feature !== indexed.result[i][j])
+    ).length;
+    if (mismatches > 0) {
+        console.error(`${name}: ${mismatches} lookups differ between the linear scan and the index`);
+        process.exitCode = 1;
+    }
+
+    console.log([
+        name,
+        collection.features.length,
+        build.ms.toFixed(2),
+        (linear.ms * 1000 / lookups).toFixed(2),
+        (indexed.ms * 1000 / lookups).toFixed(2),
+        `${(linear.ms / indexed.ms).toFixed(1)}x`,
+    ].map((cell) => String(cell).padStart(12)).join(''));
+});
@@ -0,0 +1,120 @@
+// This script blends the values that NWS and the global forecast provider give for the same field
+// Each value is weighted by source, field and lead time, and reported with the sources that
+// contributed and the spread between them.
+
+// Imports
+import { logMessage } from './logging.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// weighted: combine every source with the weights below; nws: take NWS when it has a value,
+// else the provider (the behavior before blending), kept for comparison
+const blendModes = ['weighted', 'nws'];
+
+// NWS share of the blended value per field and lead time in days (0 is current conditions and today).
+// The provider gets the rest. The last entry applies to every later day.
+const defaultWeights = {
+    temperature: [0.8],
+    dew_point: [0.8],
+    wind_speed: [0.7],
+    wind_gust: [0.7],
+    high: [0.7, 0.6, 0.55, 0.5],
+    low: [0.7, 0.6, 0.55, 0.5],
+    precipitation_probability: [0.6, 0.55, 0.5],
+};
+
+// Spreads (SI units) up to which the sources are considered in high, then medium agreement
+const confidenceThresholds = {
+    temperature: [1.5, 3],
+    dew_point: [1.5, 3],
+    high: [1.5, 3],
+    low: [1.5, 3],
+    wind_speed: [2, 5],
+    wind_gust: [3, 7],
+    precipitation_probability: [15, 30],
+};
+
+// BLEND_WEIGHTS overrides the defaults per field, e.g. {"high":[0.8,0.6,0.5],"wind_speed":[0.5]}
+function loadWeights() {
+    const weights = { ...defaultWeights };
+    if (!process.env.BLEND_WEIGHTS) return weights;
+    try {
+        const overrides = JSON.parse(process.env.BLEND_WEIGHTS);
+        Object.entries(overrides).forEach(([field, shares]) => {
+            const list = Array.isArray(shares) ? shares : [shares];
+            if (!defaultWeights[field] || list.length === 0 || list.some((share) => typeof share !== 'number' || share < 0 || share > 1)) {
+                logMessage(`Ignoring BLEND_WEIGHTS entry "${field}": expected a known field with NWS shares between 0 and 1`, 'warn', loglevel);
+                return;
+            }
+            weights[field] = list;
+        });
+    } catch (err) {
+        logMessage(`Invalid BLEND_WEIGHTS, using the defaults: ${err.message}`, 'warn', loglevel);
+    }
+    return weights;
+}
+
+const weights = loadWeights();
+
+const defaultBlendMode = blendModes.includes(process.env.BLEND_MODE) ? process.env.BLEND_MODE : 'weighted';
+
+// Resolve the blend mode for a request from its blend= query; returns { mode } or { error }
+function resolveBlendMode(query) {
+    if (query.blend === undefined) return { mode: defaultBlendMode };
+    const mode = String(query.blend).toLowerCase();
+    if (!blendModes.includes(mode)) {
+        return { error: `Invalid blend "${query.blend}", expected one of: ${blendModes.join(', ')}` };
+    }
+    return { mode };
+}
+
+function nwsShare(field, lead) {
+    const shares = weights[field] || [0.5];
+    return shares[Math.min(Math.max(lead, 0), shares.length - 1)];
+}
+
+function confidence(field, spread) {
+    const thresholds = confidenceThresholds[field];
+    if (spread === null || !thresholds) return null;
+    if (spread <= thresholds[0]) return 'high';
+    if (spread <= thresholds[1]) return 'medium';
+    return 'low';
+}
+
+// Blend one field from `candidates`, a list of { source, value } with NWS first.
+// Returns { value, attribution: { sources, spread, confidence } }; `sources` lists the sources
+// the value came from, and `spread` (max - min of every source's value) is null with one source.
+function blendValues(field, candidates, { mode = defaultBlendMode, lead = 0 } = {}) {
+    const available = candidates.filter(({ value }) => value !== null && value !== undefined && !isNaN(value));
+    if (available.length === 0) {
+        return { value: null, attribution: { sources: [], spread: null, confidence: null } };
+    }
+
+    const values = available.map(({ value }) => value);
+    const spread = available.length > 1 ? Math.max(...values) - Math.min(...values) : null;
+    const attribution = (sources) => ({ sources, spread, confidence: confidence(field, spread) });
+
+    if (mode === 'nws' || available.length === 1) {
+        return { value: available[0].value, attribution: attribution([available[0].source]) };
+    }
+
+    // NWS gets its share for the field and lead time, the other sources split the rest
+    const share = nwsShare(field, lead);
+    const others = available.filter(({ source }) => source !== 'nws').length;
+    let total = 0;
+    let sum = 0;
+    available.forEach(({ source, value }) => {
+        const weight = source === 'nws' ? share : (others > 0 ? (1 - share) / others : 0);
+        total += weight;
+        sum += weight * value;
+    });
+    const contributing = available.filter(({ source }) => (source === 'nws' ? share : 1 - share) > 0);
+    return {
+        value: total > 0 ? sum / total : available[0].value,
+        attribution: attribution(contributing.map(({ source }) => source)),
+    };
+}
+
+// Exports
+export { blendModes, defaultBlendMode, resolveBlendMode, blendValues };
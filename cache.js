@@ -0,0 +1,103 @@
+// This script handles the in-memory cache of per-location upstream responses
+// so that nearby /onecall requests can share OWM and NWS data
+
+// Imports
+import { logMessage } from './logging.js';
+import { recordCache } from './metrics.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// Size (degrees) of the lat/lon grid cells that share a cache entry, 0 disables snapping
+const gridSize = process.env.CACHE_GRID_DEG !== undefined ? parseFloat(process.env.CACHE_GRID_DEG) || 0 : 0.02;
+
+// Maximum number of cached upstream responses before the oldest are dropped
+const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 5000;
+
+// Time to live (seconds) of each response section
+const sectionTtls = {
+    minutely: parseInt(process.env.CACHE_TTL_MINUTELY) || 120,
+    current: parseInt(process.env.CACHE_TTL_CURRENT) || 300,
+    hourly: parseInt(process.env.CACHE_TTL_HOURLY) || 900,
+    daily: parseInt(process.env.CACHE_TTL_DAILY) || 3600,
+    alerts: parseInt(process.env.CACHE_TTL_ALERTS) || 60,
+    air_quality: parseInt(process.env.CACHE_TTL_AIR_QUALITY) || 1800,
+};
+
+const entries = new Map();
+const inflight = new Map();
+
+// Snap a point to the cache grid, returning the cell center and its cache key
+function snapToGrid(lat, lon) {
+    const snap = (value) => gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+    const cellLat = parseFloat(snap(parseFloat(lat)).toFixed(4));
+    const cellLon = parseFloat(snap(parseFloat(lon)).toFixed(4));
+    return { lat: cellLat, lon: cellLon, key: `${cellLat},${cellLon}` };
+}
+
+// A source entry is only as fresh as the shortest TTL of the sections it feeds
+function sourceTtl(sourceSections, sections = Object.keys(sectionTtls)) {
+    const ttls = sourceSections
+        .filter((section) => sections.includes(section))
+        .map((section) => sectionTtls[section]);
+    return ttls.length > 0 ? Math.min(...ttls) : 0;
+}
+
+// Return a cached upstream result if it is within `ttl` seconds, otherwise run `fetcher`.
+// Concurrent misses for the same key share one in-flight fetch. Only OK results are stored.
+async function getCachedSource(source, key, ttl, fetcher) {
+    const cacheKey = `${source}:${key}`;
+    const entry = entries.get(cacheKey);
+    if (entry && Date.now() - entry.fetchedAt < ttl * 1000) {
+        logMessage(`Cache hit for ${cacheKey}`, 'debug', loglevel);
+        recordCache(source, 'hit');
+        return { ...entry.result, cached: true, age: Math.round((Date.now() - entry.fetchedAt) / 1000) };
+    }
+
+    if (inflight.has(cacheKey)) {
+        logMessage(`Joining in-flight fetch for ${cacheKey}`, 'debug', loglevel);
+        recordCache(source, 'coalesced');
+        return inflight.get(cacheKey);
+    }
+
+    recordCache(source, 'miss');
+    const pending = (async () => {
+        try {
+            const result = await fetcher();
+            if (result.status === 'OK') {
+                entries.delete(cacheKey);
+                entries.set(cacheKey, { result, fetchedAt: Date.now() });
+                // Maps iterate in insertion order, so the first keys are the oldest fetches
+                while (entries.size > maxEntries) {
+                    entries.delete(entries.keys().next().value);
+                }
+            }
+            return { ...result, cached: false, age: 0 };
+        } finally {
+            inflight.delete(cacheKey);
+        }
+    })();
+    inflight.set(cacheKey, pending);
+    return pending;
+}
+
+// Summarize, per response section, whether its data came from cache and the age (seconds) of the oldest part
+// `sources` is a list of { sections, result } for every upstream source used by the request,
+// and `requested` limits the summary to the sections in the response
+function sectionCacheStatus(sources, requested = Object.keys(sectionTtls)) {
+    const status = {};
+    Object.keys(sectionTtls).filter((section) => requested.includes(section)).forEach((section) => {
+        const used = sources
+            .filter(({ sections, result }) => sections.includes(section) && result?.status === 'OK')
+            .map(({ result }) => result);
+
+        status[section] = {
+            cached: used.some((result) => result.cached),
+            age: used.length > 0 ? Math.max(...used.map((result) => result.age || 0)) : null,
+        };
+    });
+    return status;
+}
+
+// Exports
+export { snapToGrid, sourceTtl, getCachedSource, sectionCacheStatus };
@@ -0,0 +1,270 @@
+// This script classifies weather conditions into the stable condition codes of the API
+// Numeric codes come first: OWM `weather[0].id`, Open-Meteo WMO codes and NWS icon codes.
+// Condition text (e.g. the NWS `Weather` string) is only parsed when none of them is known.
+
+// Imports
+import { logMessage } from './logging.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+/* Condition codes (documented in the README; codes are never reused or renumbered)
+    1st digit: group (
+        sky=1,
+        obscuration=2,
+        drizzle=3,
+        rain=4,
+        snow and ice=5,
+        mixed precipitation=6,
+        thunderstorm=7,
+        wind and tropical=8,
+        temperature=9
+        )
+    2nd digit: kind within the group
+    3rd digit: intensity (
+        none/notapplicable=0,
+        light=1,
+        moderate or unspecified=2,
+        heavy=3
+        )
+    0 is Unknown.
+*/
+const conditionCodes = {
+    100: { condition: 'Clear', icon: 'clear', dayNight: true },
+    110: { condition: 'Mostly Clear', icon: 'mostly-clear', dayNight: true },
+    120: { condition: 'Partly Cloudy', icon: 'partly-cloudy', dayNight: true },
+    130: { condition: 'Mostly Cloudy', icon: 'mostly-cloudy', dayNight: true },
+    140: { condition: 'Cloudy', icon: 'cloudy' },
+    200: { condition: 'Fog', icon: 'fog' },
+    210: { condition: 'Freezing Fog', icon: 'fog' },
+    220: { condition: 'Haze', icon: 'haze', dayNight: true },
+    230: { condition: 'Smoke', icon: 'smoke' },
+    240: { condition: 'Dust', icon: 'dust' },
+    250: { condition: 'Volcanic Ash', icon: 'smoke' },
+    301: { condition: 'Light Drizzle', icon: 'drizzle' },
+    302: { condition: 'Drizzle', icon: 'drizzle' },
+    303: { condition: 'Heavy Drizzle', icon: 'drizzle' },
+    311: { condition: 'Light Freezing Drizzle', icon: 'freezing-drizzle' },
+    312: { condition: 'Freezing Drizzle', icon: 'freezing-drizzle' },
+    313: { condition: 'Heavy Freezing Drizzle', icon: 'freezing-drizzle' },
+    401: { condition: 'Light Rain', icon: 'rain' },
+    402: { condition: 'Rain', icon: 'rain' },
+    403: { condition: 'Heavy Rain', icon: 'rain' },
+    411: { condition: 'Light Rain Showers', icon: 'showers', dayNight: true },
+    412: { condition: 'Rain Showers', icon: 'showers', dayNight: true },
+    413: { condition: 'Heavy Rain Showers', icon: 'showers', dayNight: true },
+    421: { condition: 'Light Freezing Rain', icon: 'freezing-rain' },
+    422: { condition: 'Freezing Rain', icon: 'freezing-rain' },
+    423: { condition: 'Heavy Freezing Rain', icon: 'freezing-rain' },
+    501: { condition: 'Light Snow', icon: 'snow' },
+    502: { condition: 'Snow', icon: 'snow' },
+    503: { condition: 'Heavy Snow', icon: 'snow' },
+    511: { condition: 'Light Snow Showers', icon: 'snow-showers', dayNight: true },
+    512: { condition: 'Snow Showers', icon: 'snow-showers', dayNight: true },
+    513: { condition: 'Heavy Snow Showers', icon: 'snow-showers', dayNight: true },
+    521: { condition: 'Light Sleet', icon: 'sleet' },
+    522: { condition: 'Sleet', icon: 'sleet' },
+    523: { condition: 'Heavy Sleet', icon: 'sleet' },
+    530: { condition: 'Hail', icon: 'hail' },
+    540: { condition: 'Blizzard', icon: 'blizzard' },
+    601: { condition: 'Light Rain And Snow', icon: 'rain-snow' },
+    602: { condition: 'Rain And Snow', icon: 'rain-snow' },
+    603: { condition: 'Heavy Rain And Snow', icon: 'rain-snow' },
+    611: { condition: 'Light Rain And Sleet', icon: 'rain-sleet' },
+    612: { condition: 'Rain And Sleet', icon: 'rain-sleet' },
+    613: { condition: 'Heavy Rain And Sleet', icon: 'rain-sleet' },
+    621: { condition: 'Light Snow And Sleet', icon: 'snow-sleet' },
+    622: { condition: 'Snow And Sleet', icon: 'snow-sleet' },
+    623: { condition: 'Heavy Snow And Sleet', icon: 'snow-sleet' },
+    631: { condition: 'Light Wintry Mix', icon: 'wintry-mix' },
+    632: { condition: 'Wintry Mix', icon: 'wintry-mix' },
+    633: { condition: 'Heavy Wintry Mix', icon: 'wintry-mix' },
+    701: { condition: 'Light Thunderstorms', icon: 'thunderstorm', dayNight: true },
+    702: { condition: 'Thunderstorms', icon: 'thunderstorm', dayNight: true },
+    703: { condition: 'Heavy Thunderstorms', icon: 'thunderstorm', dayNight: true },
+    711: { condition: 'Light Thunderstorms With Hail', icon: 'thunderstorm-hail' },
+    712: { condition: 'Thunderstorms With Hail', icon: 'thunderstorm-hail' },
+    713: { condition: 'Heavy Thunderstorms With Hail', icon: 'thunderstorm-hail' },
+    800: { condition: 'Windy', icon: 'wind' },
+    810: { condition: 'Squalls', icon: 'wind' },
+    820: { condition: 'Tornado', icon: 'tornado' },
+    830: { condition: 'Tropical Storm', icon: 'tropical-storm' },
+    840: { condition: 'Hurricane', icon: 'hurricane' },
+    900: { condition: 'Hot', icon: 'hot' },
+    910: { condition: 'Cold', icon: 'cold' },
+};
+
+// OWM weather condition IDs (https://openweathermap.org/weather-conditions)
+const owmCodes = {
+    200: 701, 201: 702, 202: 703, 210: 701, 211: 702, 212: 703, 221: 702, 230: 701, 231: 702, 232: 703,
+    300: 301, 301: 302, 302: 303, 310: 301, 311: 302, 312: 303, 313: 412, 314: 413, 321: 412,
+    500: 401, 501: 402, 502: 403, 503: 403, 504: 403, 511: 422, 520: 411, 521: 412, 522: 413, 531: 412,
+    600: 501, 601: 502, 602: 503, 611: 522, 612: 521, 613: 522, 615: 601, 616: 602, 620: 511, 621: 512, 622: 513,
+    701: 200, 711: 230, 721: 220, 731: 240, 741: 200, 751: 240, 761: 240, 762: 250, 771: 810, 781: 820,
+    800: 100, 801: 110, 802: 120, 803: 130, 804: 140,
+};
+
+// WMO weather interpretation codes, as reported by Open-Meteo
+const wmoCodes = {
+    0: 100, 1: 110, 2: 120, 3: 140, 45: 200, 48: 210,
+    51: 301, 53: 302, 55: 303, 56: 311, 57: 312,
+    61: 401, 63: 402, 65: 403, 66: 421, 67: 422,
+    71: 501, 73: 502, 75: 503, 77: 502,
+    80: 411, 81: 412, 82: 413, 85: 511, 86: 513,
+    95: 702, 96: 712, 99: 713,
+};
+
+// NWS icon codes: the api.weather.gov names and the older forecast.weather.gov image names
+const nwsIconCodes = {
+    skc: 100, few: 110, sct: 120, bkn: 130, ovc: 140,
+    wind_skc: 800, wind_few: 800, wind_sct: 800, wind_bkn: 800, wind_ovc: 800, wind: 800,
+    fog: 200, fg: 200, haze: 220, hz: 220, smoke: 230, fu: 230, dust: 240, du: 240,
+    rain: 402, ra: 402, ra1: 401, minus_ra: 401,
+    rain_showers: 412, shra: 412, rain_showers_hi: 411, hi_shwrs: 411,
+    fzra: 422, sleet: 522, ip: 522,
+    snow: 502, sn: 502, blizzard: 540,
+    rain_snow: 602, rasn: 602, ra_sn: 602,
+    rain_sleet: 612, raip: 612, snow_sleet: 622, snip: 622,
+    rain_fzra: 632, fzrara: 632, snow_fzra: 632, fzra_sn: 632, mix: 632,
+    tsra: 702, tsra_sct: 702, scttsra: 702, tsra_hi: 701, hi_tsra: 701, svrtsra: 703,
+    tornado: 820, tor: 820, fc: 820,
+    tropical_storm: 830, ts_warn: 830, ts_watch: 830, ts_nowarn: 830,
+    hurricane: 840, hur_warn: 840, hur_watch: 840,
+    hot: 900, cold: 910,
+};
+
+// Text fallback rules, most specific first. `code` is the moderate code of the group; its last
+// digit is replaced with the intensity read from the text when `graded` is set.
+const textRules = [
+    { test: /tornado|funnel/, code: 820 },
+    { test: /hurricane/, code: 840 },
+    { test: /tropical storm/, code: 830 },
+    { test: /thunder|t-?storm|tstm/, and: /hail/, code: 712, graded: true },
+    { test: /thunder|t-?storm|tstm/, code: 702, graded: true },
+    { test: /blizzard/, code: 540 },
+    { test: /wintry mix/, code: 632, graded: true },
+    { test: /freezing (rain|drizzle)/, and: /snow|sleet|ice pellets/, code: 632, graded: true },
+    { test: /freezing drizzle/, code: 312, graded: true },
+    { test: /freezing rain/, code: 422, graded: true },
+    { test: /rain|drizzle|sprinkles/, and: /snow|flurries/, code: 602, graded: true },
+    { test: /rain|drizzle|sprinkles|showers/, and: /sleet|ice pellets/, code: 612, graded: true },
+    { test: /snow|flurries/, and: /sleet|ice pellets/, code: 622, graded: true },
+    { test: /sleet|ice pellets/, code: 522, graded: true },
+    { test: /hail/, code: 530 },
+    { test: /snow showers|flurries/, code: 512, graded: true },
+    { test: /snow/, code: 502, graded: true },
+    { test: /showers|sprinkles/, code: 412, graded: true },
+    { test: /rain/, code: 402, graded: true },
+    { test: /drizzle/, code: 302, graded: true },
+    { test: /freezing fog/, code: 210 },
+    { test: /fog|mist/, code: 200 },
+    { test: /smoke/, code: 230 },
+    { test: /volcanic ash/, code: 250 },
+    { test: /dust|sand/, code: 240 },
+    { test: /haze|hazy/, code: 220 },
+    { test: /squall/, code: 810 },
+    { test: /wind|breezy|blustery/, code: 800 },
+    { test: /\bhot\b/, code: 900 },
+    { test: /\bcold\b/, code: 910 },
+    { test: /mostly cloudy|increasing clouds|considerable cloud/, code: 130 },
+    { test: /partly (cloudy|sunny|clear)|decreasing clouds|scattered clouds/, code: 120 },
+    { test: /mostly (sunny|clear)|a few clouds|becoming sunny/, code: 110 },
+    { test: /cloudy|overcast|clouds/, code: 140 },
+    { test: /clear|sunny|fair/, code: 100 },
+];
+
+// Intensity digit from words like "Light Snow", "Heavy Rain" or "Flurries"
+function textIntensity(text) {
+    if (/\bheavy\b|\bsevere\b/.test(text)) return 3;
+    if (/\blight\b|\bminus\b|sprinkles|flurries|\bslight\b(?! chance)/.test(text)) return 1;
+    return 2;
+}
+
+function classifyText(text) {
+    const lower = String(text || '').toLowerCase();
+    if (!lower.trim()) return null;
+    const rule = textRules.find(({ test, and }) => test.test(lower) && (!and || and.test(lower)));
+    if (!rule) return null;
+    return rule.graded ? rule.code - (rule.code % 10) + textIntensity(lower) : rule.code;
+}
+
+// Codes and day/night flag of an NWS icon, given as a URL or a bare code. Handles
+// api.weather.gov URLs (.../icons/land/night/tsra,40/rain?size=medium), forecast.weather.gov
+// images (.../newimages/medium/nra60.png), DualImage.php?i=nshra&j=sn and observation
+// image names (nsct.png), where a leading "n" marks the night version.
+function parseNwsIcon(icon) {
+    if (!icon || typeof icon !== 'string') return null;
+
+    const api = icon.match(/\/(day|night)\/([^?#]+)/);
+    if (api) {
+        const codes = api[2].split('/').map((part) => part.split(',')[0]);
+        return { codes, night: api[1] === 'night' };
+    }
+
+    let names;
+    const dual = icon.match(/DualImage\.php\?(.*)$/);
+    if (dual) {
+        const params = new URLSearchParams(dual[1]);
+        names = [params.get('i'), params.get('j')].filter(Boolean);
+    } else {
+        names = [icon.split(/[?#]/)[0].split('/').pop().replace(/\.\w+$/, '')];
+    }
+
+    let night = null;
+    const codes = names.map((name) => {
+        const code = name.toLowerCase().replace(/\d+$/, '');
+        if (nwsIconCodes[code] === undefined && code.startsWith('n') && nwsIconCodes[code.slice(1)] !== undefined) {
+            night = true;
+            return code.slice(1);
+        }
+        if (nwsIconCodes[code] !== undefined && night === null) night = false;
+        return code;
+    });
+    return { codes, night };
+}
+
+// Classify the condition of a normalized forecast row, e.g. { owm_id, wmo_code, icon, condition, is_day }.
+// The day or night icon follows the row (is_day or a night NWS icon), else `night`.
+// Returns { condition, code, icon, raw }, or null when nothing in the row is recognized.
+function classifyCondition(row, { night = false } = {}) {
+    if (!row) return null;
+    const raw = row.condition || null;
+    const nwsIcon = parseNwsIcon(row.icon);
+
+    // NWS icons carry no intensity or showers kind (snow showers use the `sn` icon), and an icon with
+    // two codes marks a change during the period. When the text falls in the group of one of the
+    // icon's codes, it picks the code within that group and its intensity.
+    const iconCodes = (nwsIcon?.codes || []).map((code) => nwsIconCodes[code]).filter((code) => code !== undefined);
+    const textCode = classifyText(raw);
+    const sameGroup = (a, b) => Math.floor(a / 100) === Math.floor(b / 100);
+    const iconCode = iconCodes.length > 0
+        ? (textCode !== null && iconCodes.some((code) => sameGroup(code, textCode)) ? textCode : iconCodes[0])
+        : undefined;
+
+    const code = owmCodes[row.owm_id] ?? wmoCodes[row.wmo_code] ?? iconCode ?? textCode;
+    const entry = conditionCodes[code];
+    if (!entry) {
+        if (raw) logMessage(`Unrecognized weather condition: ${raw}`, 'debug', loglevel);
+        return null;
+    }
+
+    if (row.is_day != null) {
+        night = !row.is_day;
+    } else if (nwsIcon?.night != null) {
+        night = nwsIcon.night;
+    }
+    return {
+        condition: entry.condition,
+        code,
+        icon: entry.dayNight ? `${entry.icon}-${night ? 'night' : 'day'}` : entry.icon,
+        raw,
+    };
+}
+
+// Condition reported when nothing could be classified
+function unknownCondition(raw) {
+    return { condition: 'Unknown', code: 0, icon: 'unknown', raw: raw || null };
+}
+
+// Exports
+export { conditionCodes, classifyCondition, unknownCondition };
@@ -1,19 +1,57 @@
-// This file will read in OWM and NWS data and merge them into a single response
-// that averages + combines the data to return the most accurate forecast.
+// This file will read in the normalized forecast models (see providers/) and merge them into a single
+// response that averages + combines the data to return the most accurate forecast (see blend.js).
 
 import { logMessage } from './logging.js';
+import { timezoneAt, localDate } from './utils.js';
+import { sunTimes } from './solar.js';
+import { unitSystems, convertFields, convertDifference } from './units.js';
+import { alertLifecycle } from './vtec.js';
+import { featuresAt } from './geoindex.js';
+import { classifyCondition, unknownCondition } from './conditions.js';
+import { defaultBlendMode, blendValues } from './blend.js';
+import { deriveFields, windChill } from './derived.js';
+import { parseAirQuality } from './airquality.js';
+import { defaultRadar } from './radar.js';
 import dotenv from 'dotenv';
-dotenv.config();
+dotenv.config({ quiet: true });
 var loglevel = process.env.LOG_LEVEL || 'info';
 
-function safeParseInt(value) {
-    const parsed = parseInt(value);
-    return (isNaN(parsed) || parsed == null) ? null : parsed;
+// Sections of the /onecall response that can be selected with include= / exclude=
+const sectionNames = ['current', 'minutely', 'hourly', 'daily', 'alerts', 'spc', 'mcd', 'air_quality'];
+
+// Sections only returned when named in include=
+const optionalSections = ['air_quality'];
+
+// Blended probabilities are reported as whole percentages like the sources'
+const roundPercent = (value) => value === null ? null : Math.round(value);
+
+// Add derived fields (see derived.js) to a forecast entry. Values the source reported are kept;
+// the fields filled in by computation are listed in the entry's `computed` array.
+function addDerivedFields(entry, derived, reported = {}) {
+    const computed = [];
+    Object.entries(derived).forEach(([field, value]) => {
+        if (reported[field] !== null && reported[field] !== undefined) {
+            entry[field] = reported[field];
+        } else {
+            entry[field] = value;
+            if (value !== null) computed.push(field);
+        }
+    });
+    entry.computed = computed;
+    return entry;
 }
 
-function safeParseFloat(value, places=2) {
-    const parsed = parseFloat(value, places);
-    return (isNaN(parsed) || parsed == null) ? null : parsed;
+// Temperature fields converted to the requested unit, besides an entry's own temperatures
+const derivedTemperatures = { feels_like: 'temperature', dew_point: 'temperature', heat_index: 'temperature', wind_chill: 'temperature', apparent_temperature: 'temperature', wet_bulb: 'temperature' };
+
+// Convert the spreads in a `sources` attribution block, for the fields converted with `fields`
+function convertSpreads(sources, fields, units) {
+    if (!sources) return;
+    Object.entries(fields).forEach(([field, quantity]) => {
+        if (sources[field]) {
+            sources[field].spread = convertDifference(sources[field].spread, quantity, units);
+        }
+    });
 }
 
 function getSpcIndex(label) {
@@ -27,27 +65,54 @@ function getSpcIndex(label) {
     }
 }
 
-const pointInRing = (point, ring) => {
-    const [px, py] = point;
-    let inside = false;
-    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const [xi, yi] = ring[i];
-    const [xj, yj] = ring[j];
-    const intersect = yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi;
-    if (intersect) inside = !inside;
-    }
-    return inside;
-};
-
-const pointInPolygon = (point, polygon) => {
-    if (!Array.isArray(polygon) || polygon.length === 0) return false;
-    const inOuter = pointInRing(point, polygon[0]);
-    if (!inOuter) return false;
-    for (let i = 1; i < polygon.length; i++) {
-    if (pointInRing(point, polygon[i])) return false;
-    }
-    return true;
-};
+// Local calendar date ("YYYY-MM-DD") of an NWS period; startValidTime carries the WFO's UTC offset
+function nwsPeriodDate(period) {
+    return /^\d{4}-\d{2}-\d{2}/.test(period?.start || '') ? period.start.slice(0, 10) : null;
+}
+
+// Group NWS periods into local days of { date, day, night }, in forecast order.
+// An "Overnight" period starting after local midnight is the night of the previous date.
+function groupNwsPeriods(periods) {
+    const days = [];
+    periods.forEach((period) => {
+        let date = nwsPeriodDate(period);
+        if (!date) return;
+
+        const isNight = period.label !== "High";
+        if (isNight && parseInt(period.start.slice(11, 13), 10) < 6) {
+            date = new Date(Date.parse(`${date}T00:00:00Z`) - 86400000).toISOString().split('T')[0];
+        }
+
+        let day = days.find((d) => d.date === date);
+        if (!day) {
+            day = { date, day: null, night: null };
+            days.push(day);
+        }
+        day[isNight ? 'night' : 'day'] = period;
+    });
+    return days;
+}
+
+// Convective day ("YYYY-MM-DD", 12Z to 12Z) an SPC outlook is valid for, from its EXPIRE, VALID or ISSUE
+// property formatted as YYYYMMDDHHMM. The day ends at EXPIRE (12Z); VALID can be later than its start,
+// e.g. 01Z on the next UTC date for the last day 1 update. Outlooks are issued from 06Z to 01Z the next
+// UTC date, `dayOffset` days before the day they cover.
+function spcOutlookDate(outlook, dayOffset) {
+    const properties = outlook?.features?.find((feature) => feature?.properties?.EXPIRE || feature?.properties?.VALID || feature?.properties?.ISSUE)?.properties;
+    const stampTime = (stamp) => /^\d{12}/.test(stamp || '')
+        ? Date.UTC(stamp.slice(0, 4), stamp.slice(4, 6) - 1, stamp.slice(6, 8), stamp.slice(8, 10), stamp.slice(10, 12))
+        : null;
+    const dateOf = (time) => new Date(time).toISOString().split('T')[0];
+    const hours = 3600000;
+
+    const expire = stampTime(properties?.EXPIRE);
+    if (expire !== null) return dateOf(expire - 24 * hours);
+    const valid = stampTime(properties?.VALID);
+    if (valid !== null) return dateOf(valid - 12 * hours);
+    const issue = stampTime(properties?.ISSUE);
+    if (issue !== null) return dateOf(issue - 6 * hours + dayOffset * 24 * hours);
+    return null;
+}
 
 function findColorForAlert(event) {
     switch(event) {
@@ -118,175 +183,160 @@ function findColorForAlert(event) {
     }
 }
 
+// First value of an alert parameter (parameters are arrays of strings in the NWS CAP JSON)
+function alertParameter(properties, name) {
+    const value = properties?.parameters?.[name];
+    return Array.isArray(value) ? (value[0] ?? null) : (value ?? null);
+}
 
-function parseWeatherCondition(conditiontext) {
-    // Guess based on the conditiontext what the condition is and convert
-    // it to a standard human-readable condition and code.
-
-    /* Code formatting:
-    1st digit: General type (
-        clear=1,
-        mostlyclear=2,
-        partlyclear=3,
-        mostlycloudy=4,
-        cloudy=5,
-        precipitation=6,
-        haze=7,
-        fog=8
-        )
-    2nd digit: Intensity (
-        none/notapplicable=0,
-        light=1,
-        moderate=2,
-        heavy=3
-        )
-    3rd digit: Additional info (
-        none/notapplicable=0,
-        snowshower=1,
-        rainshower=2,
-        stormshower=3,
-        )
-
-    */
-
-    logMessage(`Parsing weather condition from text: ${conditiontext}`, 'debug', loglevel);
-
-    if (!conditiontext || conditiontext.length === 0) {
-        return null;
-    } else if (conditiontext.toLowerCase().includes("cold")) {
-        return { condition: "Cold", code: 733 };
-    } else if (conditiontext.toLowerCase().includes("hot")) {
-        return { condition: "Hot", code: 733 };
-    } else if (conditiontext.toLowerCase().includes("shower")) {
-        // Find intensity
-        if (conditiontext.toLowerCase().includes("light")) {
-            if (conditiontext.toLowerCase().includes("rain")) {
-                return { condition: "Light Rain Showers", code: 612 };
-            } else if (conditiontext.toLowerCase().includes("snow")) {
-                return { condition: "Light Snow Showers", code: 611 };
-            }
-        } else if (conditiontext.toLowerCase().includes("heavy")) {
-            if (conditiontext.toLowerCase().includes("rain")) {
-                return { condition: "Heavy Rain Showers", code: 632 };
-            } else if (conditiontext.toLowerCase().includes("snow")) {
-                return { condition: "Heavy Snow Showers", code: 631 };
-            }
+// Extract structured hazard details from an alert's parameters and description text.
+// Hail sizes are in inches, gusts in mph and storm motion in knots, as issued by the NWS.
+function parseAlertHazards(properties) {
+    const description = properties?.description || '';
+
+    // "HAZARD...", "SOURCE..." and "IMPACT..." paragraphs of storm-based warnings
+    const section = (name) => {
+        const match = description.match(new RegExp(`\\b${name}\\.\\.\\.([\\s\\S]*?)(?:\\n\\s*\\n|$)`));
+        return match ? match[1].replace(/\s*\n\s*/g, ' ').trim() : null;
+    };
+
+    // e.g. "2024-05-07T00:38:00-00:00...storm...231DEG...37KT...36.56,-97.76" in the CAP parameters;
+    // the TIME...MOT...LOC line of the text product has "3656 9776" pairs instead
+    let motion = null;
+    const motionText = alertParameter(properties, 'eventMotionDescription');
+    const motionMatch = motionText?.match(/^(.*?)\.\.\.(.*?)\.\.\.(\d+)DEG\.\.\.(\d+)KT\.\.\.(.*)$/);
+    if (motionMatch) {
+        const locations = [];
+        const decimalPairs = [...motionMatch[5].matchAll(/(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/g)];
+        if (decimalPairs.length > 0) {
+            decimalPairs.forEach(([, lat, lon]) => locations.push([parseFloat(lon), parseFloat(lat)]));
         } else {
-            // Moderate or unspecified
-            if (conditiontext.toLowerCase().includes("rain")) {
-                return { condition: "Rain Showers", code: 622 };
-            } else if (conditiontext.toLowerCase().includes("snow")) {
-                return { condition: "Snow Showers", code: 621 };
+            // Pairs of lat/lon in hundredths of a degree, longitude west
+            const numbers = motionMatch[5].trim().split(/\s+/).filter((n) => /^\d+$/.test(n)).map((n) => parseInt(n, 10));
+            for (let i = 0; i + 1 < numbers.length; i += 2) {
+                locations.push([-numbers[i + 1] / 100, numbers[i] / 100]);
             }
         }
-    } else if (conditiontext.toLowerCase().includes("rain")) {
-        // Find intensity
-        if (conditiontext.toLowerCase().includes("light")) {
-            return { condition: "Light Rain", code: 611 };
-        } else if (conditiontext.toLowerCase().includes("heavy")) {
-            return { condition: "Heavy Rain", code: 613 };
-        } else {
-            return { condition: "Rain", code: 612 };
-        }
-    } else if (conditiontext.toLowerCase().includes("snow")) {
-        // Find intensity
-        if (conditiontext.toLowerCase().includes("light")) {
-            return { condition: "Light Snow", code: 621 };
-        } else if (conditiontext.toLowerCase().includes("heavy")) {
-            return { condition: "Heavy Snow", code: 623 };
-        } else {
-            return { condition: "Snow", code: 622 };
-        }
-    } else if (conditiontext.toLowerCase().includes("storm") || conditiontext.toLowerCase().includes("thunder")) {
-        // Find intensity
-        if (conditiontext.toLowerCase().includes("light")) {
-            return { condition: "Light Storm", code: 631 };
-        } else if (conditiontext.toLowerCase().includes("heavy")) {
-            return { condition: "Heavy Storm", code: 633 };
-        } else {
-            return { condition: "Storm", code: 632 };
-        }
-    } else if (conditiontext.toLowerCase().includes("fog") || conditiontext.toLowerCase().includes("mist")) {
-        return { condition: "Fog", code: 800 };
-    } else if (conditiontext.toLowerCase().includes("haze") || conditiontext.toLowerCase().includes("hazy")) {
-        return { condition: "Haze", code: 700 };
-    } else if (conditiontext.toLowerCase().includes("cloud")) {
-        if (conditiontext.toLowerCase().includes("mostly")) {
-            return { condition: "Mostly Cloudy", code: 540 };
-        } else if (conditiontext.toLowerCase().includes("partly") || conditiontext.toLowerCase().includes("broken")) {
-            return { condition: "Partly Cloudy", code: 330 };
-        } else {
-            return { condition: "Cloudy", code: 500 };
-        }
-    } else if (conditiontext.toLowerCase().includes("clear") || conditiontext.toLowerCase().includes("sun") || conditiontext.toLowerCase().includes("fair")) {
-        if (conditiontext.toLowerCase().includes("mostly")) {
-            return { condition: "Mostly Clear", code: 240 };
-        } else if (conditiontext.toLowerCase().includes("partly")) {
-            return { condition: "Partly Cloudy", code: 330 };
-        } else {
-            return { condition: "Clear", code: 100 };
-        }
-    } else {
-        return null;
+        motion = {
+            time: motionMatch[1] || null,
+            type: motionMatch[2] || null,
+            direction: parseInt(motionMatch[3], 10), // degrees the storm is moving from
+            speed: parseInt(motionMatch[4], 10), // knots
+            locations: locations, // [lon, lat]
+        };
     }
-}
 
-export function parseWeatherData(point, raw_owm, raw_nws, raw_alerts, spc_outlooks, raw_mcd) {
-    var parsedData = {};
-    var parsedalerts = [];
-
-    // Parse SPC Risks
-    var risks = [];
-    var i = 0;
+    const tornadoDamageThreat = alertParameter(properties, 'tornadoDamageThreat');
+    const flashFloodDamageThreat = alertParameter(properties, 'flashFloodDamageThreat');
+    const maxHailSize = parseFloat(alertParameter(properties, 'maxHailSize'));
+    const maxWindGust = parseFloat(alertParameter(properties, 'maxWindGust'));
+
+    return {
+        hazard: section('HAZARD'),
+        source: section('SOURCE'),
+        impact: section('IMPACT'),
+        tornado_detection: alertParameter(properties, 'tornadoDetection'),
+        tornado_damage_threat: tornadoDamageThreat,
+        max_hail_size: isNaN(maxHailSize) ? null : maxHailSize, // inches
+        hail_threat: alertParameter(properties, 'hailThreat'),
+        max_wind_gust: isNaN(maxWindGust) ? null : maxWindGust, // mph
+        wind_threat: alertParameter(properties, 'windThreat'),
+        thunderstorm_damage_threat: alertParameter(properties, 'thunderstormDamageThreat'),
+        flash_flood_damage_threat: flashFloodDamageThreat,
+        motion: motion,
+        // Particularly dangerous situation: "considerable" tornado damage threat or the PDS wording
+        pds: tornadoDamageThreat === 'CONSIDERABLE' || /particularly dangerous situation/i.test(description),
+        // Tornado or flash flood emergency: "catastrophic" damage threat or the emergency wording
+        emergency: tornadoDamageThreat === 'CATASTROPHIC' || flashFloodDamageThreat === 'CATASTROPHIC'
+            || /(tornado|flash flood) emergency/i.test(description),
+    };
+}
 
-    if (spc_outlooks && Array.isArray(spc_outlooks)) {
-        spc_outlooks.forEach((outlook) => {
-            let bestFeature = null;
-            outlook?.features?.forEach((feature) => {
-                if (!feature?.geometry || !feature?.properties) return;
-                const { geometry, properties } = feature;
-
-                const checkPolygon = (polyCoords) => {
-                    if (pointInPolygon(point, polyCoords)) {
-                        if (!bestFeature || (properties.DN ?? 0) > (bestFeature.properties.DN ?? 0)) {
-                            bestFeature = feature;
-                        }
-                    }
-                };
-
-                if (geometry.type === 'Polygon') {
-                    checkPolygon(geometry.coordinates);
-                } else if (geometry.type === 'MultiPolygon') {
-                    geometry.coordinates.forEach((poly) => checkPolygon(poly));
-                }
-            });
+// Event name used for display colors, upgrading warnings flagged as PDS or emergencies
+function alertDisplayEvent(event, hazards) {
+    if (event === "Tornado Warning" && hazards.emergency) return "Tornado Emergency";
+    if (event === "Tornado Warning" && hazards.pds) return "PDS Tornado Warning";
+    if (event === "Flash Flood Warning" && hazards.emergency) return "Flash Flood Emergency";
+    return event;
+}
 
-            if (bestFeature) {
-                const { LABEL, LABEL2, fill, stroke } = bestFeature.properties;
-                risks.push({
-                    date: new Date(new Date().setDate(new Date().getDate() + i)).toISOString().split('T')[0],
-                    level: LABEL,
-                    description: LABEL2,
-                    color: fill,
-                    altcolor: stroke
-                });
-            } else {
-                risks.push({
-                    date: new Date(new Date().setDate(new Date().getDate() + i)).toISOString().split('T')[0],
-                    level: "NONE",
-                    description: "No thunderstorms forecast for this location.",
-                    color: null,
-                    altcolor: null
-                });
+// Parse NWS active alerts (GeoJSON from api.weather.gov) into the response alert shape.
+// Options:
+//   point: [lon, lat]; alerts with a storm-based polygon are kept only if it contains the point
+//   geometry: include each alert's geometry in the output
+//   severity, urgency, event: lists of accepted values (case-insensitive), empty accepts all
+//   requestId: request ID for log entries
+// Versions of the same VTEC event are collapsed into the most recent one.
+export function parseAlerts(raw_alerts, options = {}) {
+    var parsedalerts = [];
+    const logFields = options.requestId ? { request_id: options.requestId } : {};
+    const accepts = (list, value) => !list || list.length === 0 || list.includes((value || '').toLowerCase());
+    const flatten = (text) => text ? text.replace(/\n\n/g, "\n").replace(/\n/g, " ") : null;
+    const containing = options.point ? new Set(featuresAt(raw_alerts, options.point)) : null;
+
+    raw_alerts?.features?.forEach((alert) => {
+        try {
+            const properties = alert?.properties || {};
+            if ((properties.event || '').toLowerCase().includes("outlook")) { return; }
+            if (!accepts(options.severity, properties.severity)) { return; }
+            if (!accepts(options.urgency, properties.urgency)) { return; }
+            if (!accepts(options.event, properties.event)) { return; }
+            if (containing && alert?.geometry && !containing.has(alert)) { return; }
+
+            const hazards = parseAlertHazards(properties);
+            const parsed = {
+                properties: {
+                    id: properties.id || null,
+                    issued: properties.sent || null,
+                    start: properties.effective || null,
+                    end: properties.expires || null,
+                    severity: properties.severity || null,
+                },
+                product: {
+                    areas: properties.areaDesc || null,
+                    event: properties.event || null,
+                    color: findColorForAlert(alertDisplayEvent(properties.event || '', hazards)) || null,
+                    headline: properties.headline || null,
+                    description: flatten(properties.description),
+                    instructions: flatten(properties.instruction),
+                },
+                hazards: hazards,
+                lifecycle: alertLifecycle(properties),
+            };
+            if (options.geometry) {
+                parsed.geometry = alert?.geometry || null;
             }
-            i++;
-        });
-    }
+            parsedalerts.push(parsed);
+        } catch (e) {
+            logMessage(`Unable to parse alert ${alert?.properties?.id}: ${e.message}`, 'warn', loglevel, logFields);
+        }
+    });
+
+    // Collapse superseded versions of one event, keeping the latest and listing the others
+    const latest = new Map();
+    parsedalerts.forEach((alert) => {
+        const key = alert.lifecycle.event_key || alert.properties.id;
+        const current = latest.get(key);
+        if (!current) {
+            latest.set(key, alert);
+            return;
+        }
+        const [newer, older] = (alert.properties.issued || '') > (current.properties.issued || '') ? [alert, current] : [current, alert];
+        newer.lifecycle.superseded = [...new Set([...newer.lifecycle.superseded, ...older.lifecycle.superseded, older.properties.id])];
+        latest.set(key, newer);
+    });
 
-    // Parse mesoscale discussions (filter to active for current location)
+    return [...latest.values()];
+}
+
+// Parse SPC mesoscale discussions (the cached MapServer GeoJSON) that are active and contain the point
+// `options.requestId` tags the log entries with the request being answered
+export function parseMcds(raw_mcd, point, options = {}) {
     var parsedMcds = [];
+    const logFields = options.requestId ? { request_id: options.requestId } : {};
     try {
         const now = new Date();
+        const containing = new Set(featuresAt(raw_mcd?.data, point));
         raw_mcd?.data?.features?.forEach((mcd) => {
             const geometry = mcd?.geometry;
             if (!geometry) return;
@@ -316,14 +366,7 @@ export function parseWeatherData(point, raw_owm, raw_nws, raw_alerts, spc_outloo
             }
 
             // Spatial filter: point must be inside polygon (support Polygon and MultiPolygon)
-            let containsPoint = false;
-            if (geometry.type === 'Polygon') {
-                containsPoint = pointInPolygon(point, geometry.coordinates);
-            } else if (geometry.type === 'MultiPolygon') {
-                for (const poly of geometry.coordinates) {
-                    if (pointInPolygon(point, poly)) { containsPoint = true; break; }
-                }
-            }
+            const containsPoint = containing.has(mcd);
 
             // Temporal filter: if expiry known, require now <= expiry
             const isActiveByTime = expiresDate ? now <= expiresDate : true;
@@ -340,226 +383,279 @@ export function parseWeatherData(point, raw_owm, raw_nws, raw_alerts, spc_outloo
             }
         });
     } catch (e) {
-        logMessage(`Unable to parse MCDs: ${e.message}`, 'warn', loglevel);
+        logMessage(`Unable to parse MCDs: ${e.message}`, 'warn', loglevel, logFields);
     }
 
-    // Parse alerts
-    try {
-        raw_alerts?.features?.forEach((alert) => {
-            if (alert?.properties?.event.toLowerCase().includes("outlook")) { return; }
+    return parsedMcds;
+}
 
-            parsedalerts.push({
-                properties: {
-                    id: alert?.properties?.id || null,
-                    issued: alert?.properties?.sent || null,
-                    start: alert?.properties?.effective || null,
-                    end: alert?.properties?.expires || null,
-                    severity: alert?.properties?.severity || null,
-                },
-                product: {
-                    areas: alert?.properties?.areaDesc || null,
-                    event: alert?.properties?.event || null,
-                    color: findColorForAlert(alert?.properties?.event || '') || null,
-                    headline: alert?.properties?.headline || null,
-                    description: alert?.properties?.description.replace(/\n\n/g, "\n").replace(/\n/g, " ") || null,
-                    instructions: alert?.properties?.instruction.replace(/\n\n/g, "\n").replace(/\n/g, " ") || null,
+// Parse the SPC day 1-3 categorical outlooks into the highest risk containing the point, per day.
+// `today` is the location's date, used only for outlooks without an EXPIRE/VALID/ISSUE stamp.
+export function parseSpcRisks(spc_outlooks, point, today) {
+    var risks = [];
+    var i = 0;
+
+    if (spc_outlooks && Array.isArray(spc_outlooks)) {
+        spc_outlooks.forEach((outlook) => {
+            let bestFeature = null;
+            featuresAt(outlook, point).forEach((feature) => {
+                if (!feature?.properties) return;
+                if (!bestFeature || (feature.properties.DN ?? 0) > (bestFeature.properties.DN ?? 0)) {
+                    bestFeature = feature;
                 }
             });
+
+            // Fall back to the location's date only when the outlook carries no EXPIRE/VALID/ISSUE stamp
+            const date = spcOutlookDate(outlook, i)
+                || new Date(Date.parse(`${today}T00:00:00Z`) + i * 86400000).toISOString().split('T')[0];
+
+            if (bestFeature) {
+                const { LABEL, LABEL2, fill, stroke } = bestFeature.properties;
+                risks.push({
+                    date: date,
+                    level: LABEL,
+                    description: LABEL2,
+                    color: fill,
+                    altcolor: stroke
+                });
+            } else {
+                risks.push({
+                    date: date,
+                    level: "NONE",
+                    description: "No thunderstorms forecast for this location.",
+                    color: null,
+                    altcolor: null
+                });
+            }
+            i++;
         });
-    } catch (e) {
-        logMessage(`Unable to parse alerts: ${e.message}`, 'warn', loglevel);
     }
 
+    return risks;
+}
+
+// `base` is the normalized model of the global forecast provider (OWM, Open-Meteo, ...) and
+// `nws` the normalized NWS model; either may be null when that source is unavailable.
+// Values are merged at full precision in SI units, then converted and rounded to `options.units` (see units.js).
+// `options.requestId` tags the log entries with the request being answered.
+export function parseWeatherData(point, base, nws, raw_alerts, spc_outlooks, raw_mcd, options = {}) {
+    var parsedData = {};
+    var parsedalerts = [];
+    const logFields = options.requestId ? { request_id: options.requestId } : {};
+
+    // Dates are reported in the location's time zone: from the base provider, or the bundled lookup without one
+    const timezone = base?.location?.timezone || timezoneAt(point[1], point[0]);
+    const today = localDate(Date.now(), timezone);
+
+    // Parse SPC Risks
+    var risks = parseSpcRisks(spc_outlooks, point, today);
+
+    // Parse mesoscale discussions (filter to active for current location)
+    var parsedMcds = parseMcds(raw_mcd, point, { requestId: options.requestId });
+
+    // Parse alerts
+    parsedalerts = parseAlerts(raw_alerts, { requestId: options.requestId });
+
     // Parse minutely forecast
     var minutelyforecast = [];
     try {
-        raw_owm?.minutely?.forEach((minute) => {
+        base?.minutely?.forEach((minute) => {
             minutelyforecast.push({
-                time: new Date((minute?.dt || 0) * 1000).toISOString() || null,
-                precipitation: safeParseFloat(minute?.precipitation) || 0, // %
+                time: minute.time,
+                precipitation: minute.precipitation ?? 0, // mm/h
             });
         });
     } catch (e) {
-        logMessage(`Unable to parse minutely forecast: ${e.message}`, 'warn', loglevel);
+        logMessage(`Unable to parse minutely forecast: ${e.message}`, 'warn', loglevel, logFields);
     }
 
     // Parse hourly forecast
     var hourlyforecast = [];
     try {
-        raw_owm?.hourly?.forEach((hour) => {
-            hourlyforecast.push({
-                time: new Date((hour?.dt || 0) * 1000).toISOString() || null,
-                temperature: safeParseFloat(hour?.temp) || null, // Kelvin
-                feels_like: safeParseFloat(hour?.feels_like) || null, // Kelvin
-                humidity: safeParseInt(hour?.humidity) || null, // %
-                wind_speed: safeParseFloat(hour?.wind_speed) || null, // m/s
-                wind_direction: safeParseInt(hour?.wind_deg) || null, // degrees
-                condition: parseWeatherCondition(hour?.weather[0]?.description || null) || { condition: "Unknown", code: 0, raw: hour?.weather[0]?.description },
-                cloud_cover: safeParseInt(hour?.clouds) || null, // %
-                precipitation_probability: safeParseInt(hour?.pop * 100) || 0, // %
-            });
+        base?.hourly?.forEach((hour) => {
+            hourlyforecast.push(addDerivedFields({
+                time: hour.time,
+                temperature: hour.temperature, // Kelvin
+                dew_point: hour.dew_point ?? null, // Kelvin
+                humidity: hour.humidity, // %
+                wind_speed: hour.wind_speed, // m/s
+                wind_direction: hour.wind_direction, // degrees
+                condition: classifyCondition(hour) || unknownCondition(hour.condition),
+                cloud_cover: hour.cloud_cover, // %
+                precipitation_probability: hour.precipitation_probability ?? 0, // %
+                uvi: hour.uvi ?? null,
+            }, deriveFields(hour), { humidity: hour.humidity, feels_like: hour.feels_like }));
         });
     } catch (e) {
-        logMessage(`Unable to parse hourly forecast: ${e.message}`, 'warn', loglevel);
+        logMessage(`Unable to parse hourly forecast: ${e.message}`, 'warn', loglevel, logFields);
     }
 
     // Parse daily forecast
-    // OWM is iterated, but NWS should be used with OWM as a fallback
+    // The base provider is iterated, and the NWS periods for the same local date are used with the base as a fallback
     var dailyforecast = [];
-    var nwsindex = -1;
+    const periods = nws?.periods || [];
+    const nwsDays = groupNwsPeriods(periods);
+    const blendMode = options.blend || defaultBlendMode;
+    const leadDays = (date) => Math.round((Date.parse(date) - Date.parse(today)) / 86400000);
     try {
-        raw_owm?.daily?.forEach((day) => {
-            nwsindex++;
-            var conditionDay;
-            var conditionNight;
-            var highTemp;
-            var lowTemp;
-            var precipitationProbabilityDay;
-            var precipitationProbabilityNight;
-            var description;
-
-            // Safe access helpers
-            const nwsTempLabel = Array.isArray(raw_nws?.time?.tempLabel) && raw_nws.time.tempLabel.length > nwsindex ? raw_nws.time.tempLabel[nwsindex] : null;
-            const nwsWeather = Array.isArray(raw_nws?.data?.weather) && raw_nws.data.weather.length > nwsindex ? raw_nws.data.weather[nwsindex] : null;
-            const nwsWeatherNext = Array.isArray(raw_nws?.data?.weather) && raw_nws.data.weather.length > (nwsindex + 1) ? raw_nws.data.weather[nwsindex + 1] : null;
-            const nwsTempValue = Array.isArray(raw_nws?.data?.temperature) && raw_nws.data.temperature.length > nwsindex ? raw_nws.data.temperature[nwsindex] : null;
-            const nwsTempValueNext = Array.isArray(raw_nws?.data?.temperature) && raw_nws.data.temperature.length > (nwsindex + 1) ? raw_nws.data.temperature[nwsindex + 1] : null;
-            const nwsPop = Array.isArray(raw_nws?.data?.pop) && raw_nws.data.pop.length > nwsindex ? raw_nws.data.pop[nwsindex] : 0;
-            const nwsPopNext = Array.isArray(raw_nws?.data?.pop) && raw_nws.data.pop.length > (nwsindex + 1) ? raw_nws.data.pop[nwsindex + 1] : 0;
-            const nwsText = Array.isArray(raw_nws?.data?.text) && raw_nws.data.text.length > nwsindex ? raw_nws.data.text[nwsindex] : null;
-            const dayWeatherDesc = Array.isArray(day?.weather) && day.weather.length > 0 ? day.weather[0]?.description : null;
-
-            if (raw_nws && nwsTempLabel === "High") {
-                // Daytime segment
-                conditionDay = parseWeatherCondition(nwsWeather || null) || parseWeatherCondition(dayWeatherDesc || null) || { condition: "Unknown", code: 0, raw: dayWeatherDesc };
-                conditionNight = parseWeatherCondition(nwsWeatherNext || null) || { condition: "Unknown", code: 0, raw: nwsWeatherNext };
-                highTemp = safeParseFloat((nwsTempValue - 32) * 5/9 + 273.15) || safeParseFloat(day?.temp?.max) || null;
-                lowTemp = safeParseFloat((nwsTempValueNext - 32) * 5/9 + 273.15) || safeParseFloat(day?.temp?.min) || null;
-                precipitationProbabilityDay = safeParseInt(nwsPop) || null;
-                precipitationProbabilityNight = safeParseInt(nwsPopNext) || null;
-                description = nwsText || null;
-                nwsindex++; // Skip the next index as it was just used for nighttime
-            } else if (raw_nws && nwsTempLabel === "Low") {
-                // Nighttime segment
-                conditionDay = parseWeatherCondition(dayWeatherDesc || null) || { condition: "Unknown", code: 0, raw: dayWeatherDesc };
-                conditionNight = parseWeatherCondition(nwsWeather || null) || { condition: "Unknown", code: 0, raw: nwsWeather };
-                highTemp = safeParseFloat(day?.temp?.max) || null;
-                lowTemp = safeParseFloat((nwsTempValue - 32) * 5/9 + 273.15) || safeParseFloat(day?.temp?.min) || null;
-                precipitationProbabilityDay = null;
-                precipitationProbabilityNight = safeParseInt(nwsPop) || null;
-                description = nwsText || null;
-            } else {
-                // No NWS data available for this day, or at all
-                conditionDay = parseWeatherCondition(dayWeatherDesc || null) || { condition: "Unknown", code: 0, raw: dayWeatherDesc };
-                conditionNight = { condition: "Unknown", code: 0, raw: null };
-                highTemp = safeParseFloat(day?.temp?.max) || null;
-                lowTemp = safeParseFloat(day?.temp?.min) || null;
-                precipitationProbabilityDay = null;
-                precipitationProbabilityNight = null;
-                description = null;
-            }
-
-            dailyforecast.push({
-                date: new Date((day?.dt || 0) * 1000).toISOString().split('T')[0] || null,
+        base?.daily?.forEach((day) => {
+            const date = localDate(day.time, timezone);
+            const nwsDay = nwsDays.find((d) => d.date === date) || {};
+            const dayPeriod = nwsDay.day || null;
+            const nightPeriod = nwsDay.night || null;
+            const blendOptions = { mode: blendMode, lead: leadDays(date) };
+            const blend = (field, nwsValue, baseValue) => blendValues(field, [
+                { source: 'nws', value: nwsValue },
+                { source: base.source, value: baseValue },
+            ], blendOptions);
+
+            // Daytime segment: "Today"/weekday period, missing when the forecast starts with "Tonight"
+            const conditionDay = classifyCondition(dayPeriod) || classifyCondition(day) || unknownCondition(day.condition);
+            const highTemp = blend('high', dayPeriod?.temperature, day.high);
+            const precipitationProbabilityDay = blend('precipitation_probability', dayPeriod?.precipitation_probability, day.precipitation_probability);
+            const windSpeed = blend('wind_speed', null, day.wind_speed);
+
+            // Nighttime segment (the provider's daily values cover the whole day, so only the low is blended)
+            const conditionNight = classifyCondition(nightPeriod, { night: true }) || unknownCondition(nightPeriod?.condition);
+            const lowTemp = blend('low', nightPeriod?.temperature, day.low);
+            const precipitationProbabilityNight = nightPeriod?.precipitation_probability ?? null;
+
+            const description = dayPeriod?.text || nightPeriod?.text || null;
+
+            // Derived values are for the high, except the wind chill, which is for the low
+            const derived = deriveFields({ temperature: highTemp.value, dew_point: day.dew_point, humidity: day.humidity, wind_speed: windSpeed.value });
+            derived.wind_chill = windChill(lowTemp.value, windSpeed.value);
+
+            dailyforecast.push(addDerivedFields({
+                date: date,
                 condition: conditionDay,
-                sunrise: new Date((day?.sunrise || 0) * 1000).toISOString() || null,
-                sunset: new Date((day?.sunset || 0) * 1000).toISOString() || null,
-                high: highTemp, // Kelvin
-                low: lowTemp, // Kelvin
-                precipitation_probability: precipitationProbabilityDay, // %
-                wind_speed: safeParseFloat(day?.wind_speed) || null, // m/s
-                wind_direction: safeParseInt(day?.wind_deg) || null, // degrees
+                sunrise: day.sunrise,
+                sunset: day.sunset,
+                high: highTemp.value, // Kelvin
+                low: lowTemp.value, // Kelvin
+                precipitation_probability: roundPercent(precipitationProbabilityDay.value), // %
+                wind_speed: windSpeed.value, // m/s
+                wind_direction: day.wind_direction, // degrees
+                humidity: day.humidity ?? null, // %
+                dew_point: day.dew_point ?? null, // Kelvin
+                uvi: day.uvi ?? null,
+                moonrise: day.moonrise ?? null,
+                moonset: day.moonset ?? null,
+                moon_phase: day.moon_phase ?? null, // 0 and 1 are new moon, 0.5 full moon
                 description: description,
                 night: {
                     condition: conditionNight,
                     precipitation_probability: precipitationProbabilityNight, // %
-                }
-            });
+                },
+                sources: {
+                    high: highTemp.attribution,
+                    low: lowTemp.attribution,
+                    precipitation_probability: precipitationProbabilityDay.attribution,
+                    wind_speed: windSpeed.attribution,
+                },
+            }, derived, { humidity: day.humidity, feels_like: day.feels_like }));
         });
     } catch (e) {
-        logMessage(`Unable to parse daily forecast: ${e.message}`, 'warn', loglevel);
+        logMessage(`Unable to parse daily forecast: ${e.message}`, 'warn', loglevel, logFields);
     }
 
-    // Parse current conditions
-    var sunrise;
-    try {
-        sunrise = new Date((raw_owm?.current?.sunrise || 0) * 1000).toISOString();
-        if (sunrise === "1970-01-01T00:00:00.000Z") { sunrise = null; }
-    } catch (e) { sunrise = null; }
-    var sunset;
-    try {
-        sunset = new Date((raw_owm?.current?.sunset || 0) * 1000).toISOString();
-        if (sunset === "1970-01-01T00:00:00.000Z") { sunset = null; }
-    } catch (e) { sunset = null; }
-    var temperature;
-    try {
-        temperature = (((raw_nws?.currentobservation?.Temp || 0) - 32) * 5/9 ) + 273.15; // F to Kelvin
-        if (isNaN(temperature) || temperature === 255.37222222222223) { temperature = null; }
-    } catch (e) { temperature = null; }
-    var windspeed;
-    try {
-        windspeed = (raw_nws?.currentobservation?.Winds || 0) * 0.44704; // mph to m/s
-        if (isNaN(windspeed) || windspeed === 0) { windspeed = null; }
-    } catch (e) { windspeed = null; }
-    var windgust;
-    try {
-        windgust = (raw_nws?.currentobservation?.Gust || 0) * 0.44704; // mph to m/s
-        if (isNaN(windgust) || windgust === 0) { windgust = null; }
-    } catch (e) { windgust = null; }
-    var dewpoint;
-    try {
-        dewpoint = (((raw_nws?.currentobservation?.Dewp || 0) - 32) * 5/9 ) + 273.15; // F to Kelvin
-        if (isNaN(dewpoint) || dewpoint === 255.37222222222223) { dewpoint = null; }
-    } catch (e) { dewpoint = null; }
-    var visibility;
-    try {
-        visibility = (raw_nws?.currentobservation?.Visibility || 0) * 1.60934; // miles to kilometers
-        if (isNaN(visibility) || visibility === 0) { 
-            visibility = ((raw_owm?.current?.visibility / 1000) || 0) * 1.60934; // miles to kilometers
-            if (isNaN(visibility) || visibility === 0) { visibility = null; }
-        }
-    } catch (e) { visibility = null; }
-    var pressure;
-    try {
-        pressure = (raw_nws?.currentobservation?.SLP || 0) * 33.8639; // inHg to hPa (mb)
-        if (isNaN(pressure) || pressure === 0) {
-            pressure = raw_owm?.current?.pressure || 0; // hPa (mb)
-            if (isNaN(pressure) || pressure === 0) { pressure = null; }
+    // Degraded mode: without a base provider, build the daily forecast from the NWS periods alone
+    if (dailyforecast.length === 0 && periods.length > 0) {
+        try {
+            nwsDays.forEach(({ date, day, night }) => {
+                const sun = sunTimes(point[1], point[0], date);
+                const blendOptions = { mode: blendMode, lead: leadDays(date) };
+                const highTemp = blendValues('high', [{ source: 'nws', value: day?.temperature }], blendOptions);
+                const lowTemp = blendValues('low', [{ source: 'nws', value: night?.temperature }], blendOptions);
+                const precipitationProbabilityDay = blendValues('precipitation_probability', [{ source: 'nws', value: day?.precipitation_probability }], blendOptions);
+                dailyforecast.push(addDerivedFields({
+                    date: date,
+                    condition: classifyCondition(day) || unknownCondition(day?.condition),
+                    sunrise: sun.sunrise,
+                    sunset: sun.sunset,
+                    high: highTemp.value, // Kelvin
+                    low: lowTemp.value, // Kelvin
+                    precipitation_probability: precipitationProbabilityDay.value, // %
+                    wind_speed: null,
+                    wind_direction: null,
+                    humidity: null,
+                    dew_point: null,
+                    uvi: null,
+                    moonrise: null,
+                    moonset: null,
+                    moon_phase: null,
+                    description: day?.text || night?.text || null,
+                    night: {
+                        condition: classifyCondition(night, { night: true }) || unknownCondition(night?.condition),
+                        precipitation_probability: night?.precipitation_probability ?? null, // %
+                    },
+                    sources: {
+                        high: highTemp.attribution,
+                        low: lowTemp.attribution,
+                        precipitation_probability: precipitationProbabilityDay.attribution,
+                    },
+                }, deriveFields({ temperature: highTemp.value })));
+            });
+        } catch (e) {
+            logMessage(`Unable to parse NWS-only daily forecast: ${e.message}`, 'warn', loglevel, logFields);
         }
-    } catch (e) { pressure = null; }
+    }
 
+    // Parse current conditions
+    // Temperature, dew point and wind are blended; for the other fields NWS observations are
+    // preferred, with the base provider as a fallback
+    const nwsCurrent = nws?.current || {};
+    const baseCurrent = base?.current || {};
+    const pick = (field) => nwsCurrent[field] ?? baseCurrent[field] ?? null;
+    const currentBlend = {};
+    ['temperature', 'dew_point', 'wind_speed', 'wind_gust'].forEach((field) => {
+        currentBlend[field] = blendValues(field, [
+            { source: 'nws', value: nwsCurrent[field] },
+            { source: base?.source, value: baseCurrent[field] },
+        ], { mode: blendMode, lead: 0 });
+    });
+    const conditionText = nwsCurrent.condition || baseCurrent.condition || null;
+
+    // Sunrise/sunset come from the base provider, or are computed locally for today's date
+    const sun = (baseCurrent.sunrise && baseCurrent.sunset)
+        ? { sunrise: baseCurrent.sunrise, sunset: baseCurrent.sunset }
+        : sunTimes(point[1], point[0], today);
+    // Humidity is computed from the blended temperature and dew point so the three agree,
+    // and only taken from the sources when one of them is missing
+    const reportedHumidity = baseCurrent.humidity ?? nwsCurrent.humidity ?? null;
+    const currentDerived = deriveFields({
+        temperature: currentBlend.temperature.value,
+        dew_point: currentBlend.dew_point.value,
+        humidity: reportedHumidity,
+        wind_speed: currentBlend.wind_speed.value,
+    });
+
+    const now = Date.now();
+    const isNight = Boolean(sun.sunrise && sun.sunset) && (now < Date.parse(sun.sunrise) || now > Date.parse(sun.sunset));
 
     parsedData = {
         location: {
-            wfo: raw_nws?.location?.wfo || null,
-            nearest_radar: raw_nws?.location?.radar || 'international',
-            sunrise: sunrise || null,
-            sunset: sunset || null,
-        },
-        current: {
-            temperature: (typeof temperature === 'number' && !isNaN(temperature))
-                ? safeParseFloat(temperature.toFixed(2))
-                : safeParseFloat(raw_owm?.current?.temp) || null, // Kelvin
-            dew_point: (typeof dewpoint === 'number' && !isNaN(dewpoint))
-                ? safeParseFloat(dewpoint.toFixed(2))
-                : safeParseFloat(raw_owm?.current?.dew_point) || null, // Kelvin
-            humidity: safeParseInt(raw_owm?.current?.humidity) || null, // %
-            wind_speed: (typeof windspeed === 'number' && !isNaN(windspeed) && windspeed !== 0)
-                ? safeParseFloat(windspeed)
-                : safeParseFloat(raw_owm?.current?.wind_speed) || null, // m/s
-            wind_gust: (typeof windgust === 'number' && !isNaN(windgust) && windgust !== 0)
-                ? safeParseFloat(windgust)
-                : safeParseFloat(raw_owm?.current?.wind_gust) || null, // m/s
-            wind_direction: safeParseInt(raw_nws?.currentobservation?.Windd) || safeParseInt(raw_owm?.current?.wind_deg) || null, // degrees
-            condition: parseWeatherCondition(raw_nws?.currentobservation?.Weather || null) || parseWeatherCondition(raw_owm?.current?.weather[0]?.description || null) || { condition: "Unknown", code: 0, raw: raw_nws?.currentobservation?.Weather || raw_owm?.current?.weather[0]?.description || null },
-            cloud_cover: safeParseInt(raw_owm?.current?.clouds) || null, // %
-            visibility: (typeof visibility === 'number' && !isNaN(visibility) && visibility !== 0)
-                ? safeParseFloat(visibility)
-                : safeParseFloat(raw_owm?.current?.visibility) || null, // kilometers
-            pressure: (typeof pressure === 'number' && !isNaN(pressure) && pressure !== 0)
-                ? safeParseFloat(pressure.toFixed(2))
-                : safeParseFloat(raw_owm?.current?.pressure) || null, // hPa (mb)
+            wfo: nws?.location?.wfo || null,
+            timezone: timezone || null,
+            // MapClick's radar, else the nearest WSR-88D from the bundled site table (null outside US coverage)
+            nearest_radar: defaultRadar(point[1], point[0], nws?.location?.radar),
+            sunrise: sun.sunrise || null,
+            sunset: sun.sunset || null,
         },
+        current: addDerivedFields({
+            temperature: currentBlend.temperature.value, // Kelvin
+            dew_point: currentBlend.dew_point.value, // Kelvin
+            humidity: reportedHumidity, // %
+            wind_speed: currentBlend.wind_speed.value, // m/s
+            wind_gust: currentBlend.wind_gust.value, // m/s
+            wind_direction: pick('wind_direction'), // degrees
+            condition: classifyCondition(nwsCurrent, { night: isNight }) || classifyCondition(baseCurrent, { night: isNight }) || unknownCondition(conditionText),
+            cloud_cover: baseCurrent.cloud_cover ?? null, // %
+            visibility: pick('visibility'), // kilometers
+            pressure: pick('pressure'), // hPa (mb)
+            uvi: baseCurrent.uvi ?? null,
+            sources: Object.fromEntries(Object.entries(currentBlend).map(([field, { attribution }]) => [field, attribution])),
+        }, currentDerived, { humidity: currentDerived.humidity === null ? reportedHumidity : null }),
         alerts: parsedalerts,
         mesoscale_discussions: parsedMcds || [],
         forecasts: {
@@ -570,6 +666,42 @@ export function parseWeatherData(point, raw_owm, raw_nws, raw_alerts, spc_outloo
         }
     };
 
-    logMessage(`Parsed weather data.`, 'debug', loglevel);
+    // Leave out the sections that were not requested
+    const sections = options.sections || sectionNames.filter((section) => !optionalSections.includes(section));
+    if (!sections.includes('current')) delete parsedData.current;
+    if (!sections.includes('alerts')) delete parsedData.alerts;
+    if (!sections.includes('mcd')) delete parsedData.mesoscale_discussions;
+    if (sections.includes('air_quality')) {
+        parsedData.air_quality = parseAirQuality(options.airQuality?.current, options.airQuality?.forecast, options);
+    }
+    ['spc', 'minutely', 'hourly', 'daily'].forEach((section) => {
+        if (!sections.includes(section)) delete parsedData.forecasts[section];
+    });
+
+    // Convert from SI to the requested units, and echo them in the response
+    const units = options.units || { system: 'standard', ...unitSystems.standard };
+    parsedData.units = units;
+    parsedData.blend = blendMode;
+    try {
+        const currentFields = { temperature: 'temperature', ...derivedTemperatures, wind_speed: 'wind', wind_gust: 'wind', visibility: 'distance', pressure: 'pressure' };
+        const hourlyFields = { temperature: 'temperature', ...derivedTemperatures, wind_speed: 'wind' };
+        const dailyFields = { high: 'temperature', low: 'temperature', ...derivedTemperatures, wind_speed: 'wind' };
+        convertFields(parsedData.location.nearest_radar, { distance: 'distance' }, units);
+        convertFields(parsedData.current || null, currentFields, units);
+        convertSpreads(parsedData.current?.sources, currentFields, units);
+        parsedData.forecasts.minutely?.forEach((minute) => convertFields(minute, { precipitation: 'precipitation' }, units));
+        parsedData.forecasts.hourly?.forEach((hour) => convertFields(hour, hourlyFields, units));
+        parsedData.forecasts.daily?.forEach((day) => {
+            convertFields(day, dailyFields, units);
+            convertSpreads(day.sources, dailyFields, units);
+        });
+    } catch (e) {
+        logMessage(`Unable to convert units: ${e.message}`, 'warn', loglevel, logFields);
+    }
+
+    logMessage(`Parsed weather data.`, 'debug', loglevel, logFields);
     return parsedData;
-}
\ No newline at end of file
+}
+
+// Exports
+export { sectionNames, optionalSections };
@@ -0,0 +1,90 @@
+// This script computes derived meteorological fields (relative humidity, heat index, wind chill,
+// apparent temperature, wet-bulb temperature) from temperature, dew point, humidity and wind.
+// Inputs and outputs are in the internal SI units: Kelvin, %, m/s.
+
+const kelvinToF = (k) => (k - 273.15) * 9 / 5 + 32;
+const fToKelvin = (f) => (f - 32) * 5 / 9 + 273.15;
+const round = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+const known = (...values) => values.every((value) => value !== null && value !== undefined && !isNaN(value));
+
+// Relative humidity (%) from temperature and dew point, with the Magnus formula (Alduchov and Eskridge)
+function relativeHumidity(temperature, dewPoint) {
+    if (!known(temperature, dewPoint)) return null;
+    const t = temperature - 273.15;
+    const td = dewPoint - 273.15;
+    const rh = 100 * Math.exp((17.625 * td) / (243.04 + td)) / Math.exp((17.625 * t) / (243.04 + t));
+    return Math.round(Math.min(100, Math.max(0, rh)));
+}
+
+// NWS heat index: the simple formula, and the Rothfusz regression with its low and high humidity
+// adjustments once the simple result reaches 80°F (https://www.wpc.ncep.noaa.gov/html/heatindex_equation.shtml).
+// Only defined from 80°F; null below.
+function heatIndex(temperature, humidity) {
+    if (!known(temperature, humidity)) return null;
+    const t = kelvinToF(temperature);
+    const rh = humidity;
+    if (t < 80) return null;
+
+    let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+    if ((hi + t) / 2 >= 80) {
+        hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+            - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+            + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+        if (rh < 13 && t >= 80 && t <= 112) {
+            hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        } else if (rh > 85 && t >= 80 && t <= 87) {
+            hi += ((rh - 85) / 10) * ((87 - t) / 5);
+        }
+    }
+    return round(fToKelvin(hi));
+}
+
+// NWS wind chill (2001 formula). Only defined at or below 50°F with wind above 3 mph; null otherwise.
+function windChill(temperature, windSpeed) {
+    if (!known(temperature, windSpeed)) return null;
+    const t = kelvinToF(temperature);
+    const v = windSpeed / 0.44704; // mph
+    if (t > 50 || v <= 3) return null;
+    const wc = 35.74 + 0.6215 * t - 35.75 * Math.pow(v, 0.16) + 0.4275 * t * Math.pow(v, 0.16);
+    return round(fToKelvin(Math.min(wc, t)));
+}
+
+// Steadman's apparent temperature for shade, as used by the Australian Bureau of Meteorology
+function apparentTemperature(temperature, humidity, windSpeed) {
+    if (!known(temperature, humidity)) return null;
+    const t = temperature - 273.15;
+    const vapourPressure = (humidity / 100) * 6.105 * Math.exp((17.27 * t) / (237.7 + t)); // hPa
+    return round(t + 0.33 * vapourPressure - 0.70 * (windSpeed ?? 0) - 4.00 + 273.15);
+}
+
+// Wet-bulb temperature at sea level pressure (Stull 2011), valid for 5 to 99% humidity and -20 to 50°C
+function wetBulb(temperature, humidity) {
+    if (!known(temperature, humidity)) return null;
+    const t = temperature - 273.15;
+    const rh = Math.min(99, Math.max(5, humidity));
+    const tw = t * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+        + Math.atan(t + rh) - Math.atan(rh - 1.676331)
+        + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) - 4.686035;
+    return round(tw + 273.15);
+}
+
+// Derived fields for one set of values. `humidity` is computed from temperature and dew point,
+// and is null without both; the other fields then use the reported `humidity` instead.
+// `feels_like` follows the NWS: the heat index when defined, else the wind chill, else the temperature.
+function deriveFields({ temperature, dew_point, humidity, wind_speed }) {
+    const computedHumidity = relativeHumidity(temperature, dew_point);
+    const rh = computedHumidity ?? humidity ?? null;
+    const heat_index = heatIndex(temperature, rh);
+    const wind_chill = windChill(temperature, wind_speed);
+    return {
+        humidity: computedHumidity,
+        feels_like: heat_index ?? wind_chill ?? (known(temperature) ? temperature : null),
+        heat_index,
+        wind_chill,
+        apparent_temperature: apparentTemperature(temperature, rh, wind_speed),
+        wet_bulb: wetBulb(temperature, rh),
+    };
+}
+
+// Exports
+export { relativeHumidity, heatIndex, windChill, apparentTemperature, wetBulb, deriveFields };
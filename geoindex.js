@@ -0,0 +1,113 @@
+// This script handles point lookups in GeoJSON polygon collections (SPC outlooks, MCDs, alerts)
+// Each collection is indexed once: every polygon gets a bounding box, and a grid of 1 degree cells
+// lists the features that can reach each cell, so a lookup only tests the few candidates there.
+
+// Grid cell size (degrees)
+const cellSize = 1;
+
+// Indexes by collection object; a refreshed collection is a new object and gets a new index
+const indexes = new WeakMap();
+
+const pointInRing = (point, ring) => {
+    const [px, py] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersect = yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi;
+    if (intersect) inside = !inside;
+    }
+    return inside;
+};
+
+const pointInPolygon = (point, polygon) => {
+    if (!Array.isArray(polygon) || polygon.length === 0) return false;
+    const inOuter = pointInRing(point, polygon[0]);
+    if (!inOuter) return false;
+    for (let i = 1; i < polygon.length; i++) {
+    if (pointInRing(point, polygon[i])) return false;
+    }
+    return true;
+};
+
+// Polygons of a Polygon or MultiPolygon geometry
+function geometryPolygons(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates || [];
+    return [];
+}
+
+// [minX, minY, maxX, maxY] of a polygon's outer ring
+function ringBounds(ring) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    (ring || []).forEach(([x, y]) => {
+        if (x < bounds[0]) bounds[0] = x;
+        if (y < bounds[1]) bounds[1] = y;
+        if (x > bounds[2]) bounds[2] = x;
+        if (y > bounds[3]) bounds[3] = y;
+    });
+    return bounds;
+}
+
+const cellKey = (cx, cy) => `${cx},${cy}`;
+
+// Build the index of a GeoJSON FeatureCollection
+function buildIndex(collection) {
+    const entries = [];
+    const grid = new Map();
+
+    (collection?.features || []).forEach((feature) => {
+        const polygons = geometryPolygons(feature?.geometry)
+            .filter((polygon) => Array.isArray(polygon) && polygon.length > 0)
+            .map((polygon) => ({ polygon, bounds: ringBounds(polygon[0]) }))
+            .filter(({ bounds }) => bounds[0] <= bounds[2]);
+        if (polygons.length === 0) return;
+
+        const entry = { feature, polygons };
+        entries.push(entry);
+
+        // Register the feature in every cell its polygons' bounding boxes touch
+        const cells = new Set();
+        polygons.forEach(({ bounds }) => {
+            for (let cx = Math.floor(bounds[0] / cellSize); cx <= Math.floor(bounds[2] / cellSize); cx++) {
+                for (let cy = Math.floor(bounds[1] / cellSize); cy <= Math.floor(bounds[3] / cellSize); cy++) {
+                    cells.add(cellKey(cx, cy));
+                }
+            }
+        });
+        cells.forEach((key) => {
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(entry);
+        });
+    });
+
+    return { entries, grid };
+}
+
+// Index a collection ahead of its first lookup, e.g. right after a cache refresh
+function indexCollection(collection) {
+    if (!collection || typeof collection !== 'object') return null;
+    let index = indexes.get(collection);
+    if (!index) {
+        index = buildIndex(collection);
+        indexes.set(collection, index);
+    }
+    return index;
+}
+
+// Features of a collection with a polygon containing `point` ([lon, lat]), in collection order
+function featuresAt(collection, point) {
+    const index = indexCollection(collection);
+    if (!index) return [];
+
+    const [px, py] = point;
+    const candidates = index.grid.get(cellKey(Math.floor(px / cellSize), Math.floor(py / cellSize))) || [];
+    return candidates
+        .filter(({ polygons }) => polygons.some(({ polygon, bounds }) =>
+            px >= bounds[0] && px <= bounds[2] && py >= bounds[1] && py <= bounds[3] && pointInPolygon(point, polygon)
+        ))
+        .map(({ feature }) => feature);
+}
+
+// Exports
+export { pointInPolygon, geometryPolygons, indexCollection, featuresAt };
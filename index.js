@@ -1,386 +1,757 @@
 // Required imports
 import express, { raw } from 'express';
 import dotenv from 'dotenv';
-import { logMessage } from './logging.js';
-import { parseWeatherData } from './dataparser.js';
-import fetch from 'node-fetch';
-import fs from 'fs';
+import { logMessage, assignRequestId, readLogs, closeLogs, levels } from './logging.js';
+import { parseWeatherData, parseAlerts, parseMcds, parseSpcRisks, sectionNames, optionalSections } from './dataparser.js';
+import { snapToGrid, sourceTtl, getCachedSource, sectionCacheStatus } from './cache.js';
+import { fetchUpstreamJson } from './upstream.js';
+import { getProvider } from './providers/index.js';
+import { resolveUnits, convertFields } from './units.js';
+import { resolveBlendMode } from './blend.js';
+import { fetchAirPollution, parseAirQuality } from './airquality.js';
+import { radarSites, nearestRadarSites, resolveRadarQuery } from './radar.js';
+import { loadSubscriptions, createSubscription, listSubscriptions, getSubscription, deleteSubscription, checkSubscriptions } from './subscriptions.js';
+import { openStream, updateStreams, closeStreams } from './stream.js';
+import { scheduleJob, jobStates, stopJobs } from './scheduler.js';
+import { loadApiKeys, watchApiKeys, requireApiKey } from './auth.js';
+import { trackRequests, upstreamHealth, renderMetrics } from './metrics.js';
+import { loadProductCaches, updateSpcCache, updateMcdCache, getProduct } from './spc.js';
+import { parseCoordinates, timezoneAt, localDate, mapLimit } from './utils.js';
 
 // ===== Setup =====
 
 // Set up environment variables
-dotenv.config();
-const apiKey = process.env.API_KEY;
+dotenv.config({ quiet: true });
 const port = process.env.PORT || 3000;
 const loglevel = process.env.LOG_LEVEL || 'info';
-if (!process.env.OWM_API_KEY){
-    console.error("Error: OWM_API_KEY is not set in environment variables.");
+
+// Overall time budget for the upstream fetches of a single /onecall request
+const onecallDeadline = parseInt(process.env.ONECALL_DEADLINE_MS) || 10000;
+
+// Per-attempt timeouts for each upstream source; attempts are also cut short by the deadline
+const upstreamTimeouts = {
+    owm: 5000,
+    openmeteo: 5000,
+    nws: 5000,
+    alerts: 3000,
+    airquality: 5000,
+};
+
+// API keys from API_KEYS_FILE and API_KEY, reloaded when the file changes
+loadApiKeys();
+watchApiKeys();
+
+// Limits of POST /onecall/batch: locations per batch, and locations fetched at once
+const batchMaxLocations = parseInt(process.env.BATCH_MAX_LOCATIONS) || 20;
+const batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+// Most sites returned by one /radar/sites request
+const radarMaxSites = 25;
+
+// Sections fed by the NWS zone alerts
+const alertsSections = ['alerts'];
+
+// Sections fed by the OWM air pollution APIs
+const airQualitySections = ['air_quality'];
+
+// Global forecast provider (owm, openmeteo) merged with NWS data for US locations
+const forecastProvider = getProvider(process.env.FORECAST_PROVIDER || 'owm');
+const nwsProvider = getProvider('nws');
+if (!forecastProvider) {
+    console.error(`Error: unknown FORECAST_PROVIDER "${process.env.FORECAST_PROVIDER}".`);
     process.exit(1);
-} else {
-    console.log("OWM API key initialized as " + process.env.OWM_API_KEY.substring(0, 4) + "****");
+}
+
+// Without a configured forecast provider the server still runs, serving US locations from NWS alone
+if (forecastProvider.name === 'owm') {
+    if (!process.env.OWM_API_KEY){
+        console.warn("Warning: OWM_API_KEY is not set in environment variables. Running in NWS-only degraded mode.");
+    } else {
+        console.log("OWM API key initialized as " + process.env.OWM_API_KEY.substring(0, 4) + "****");
+    }
+}
+
+// api.weather.gov point alerts query and cache key for a point, rounded to 4 decimals (about 10 m).
+// The point is not snapped to the cache grid: a storm-based warning polygon can contain the point
+// but not the centre of its grid cell, and would then never be returned by the query.
+function pointAlertsQuery(lat, lon) {
+    const point = `${parseFloat(lat.toFixed(4))},${parseFloat(lon.toFixed(4))}`;
+    return { url: `https://api.weather.gov/alerts/active?point=${point}`, key: `point:${point}` };
+}
+
+// Resolve the response sections for a request from its include= and exclude= lists (comma separated)
+function resolveSections(query) {
+    const parse = (value) => String(value).split(',').map((section) => section.trim().toLowerCase()).filter(Boolean);
+    const included = query.include !== undefined ? parse(query.include) : sectionNames.filter((section) => !optionalSections.includes(section));
+    const excluded = query.exclude !== undefined ? parse(query.exclude) : [];
+
+    const unknown = [...included, ...excluded].filter((section) => !sectionNames.includes(section));
+    if (unknown.length > 0) {
+        return { error: `Unknown section(s) ${unknown.join(', ')}, expected any of: ${sectionNames.join(', ')}` };
+    }
+    return { sections: sectionNames.filter((section) => included.includes(section) && !excluded.includes(section)) };
 }
 
 // Set up the Express app
 const app = express();
+app.use(assignRequestId);
+app.use(trackRequests);
 app.use(express.json());
 
-// Helper to safely fetch SPC outlook JSON with content-type and timeout checks
-// Timeout set to 10 seconds because it is run in the background
-async function fetchSpcOutlook(url, label) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
 
+// ===== Endpoints =====
+
+// Home route
+
+app.get('/', (req, res) => {
     try {
-        const response = await fetch(url, { signal: controller.signal });
-        clearTimeout(timeout);
+        res.json({ status: "OK" });
+        logMessage(`Received request at /`, 'debug', loglevel, { request_id: req.id });
+    } catch (err) {
+        logMessage(`Uncaught error at /: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
+    }
+});
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status} ${response.statusText}`);
-        }
 
-        const contentType = response.headers.get('content-type')?.toLowerCase() || '';
-        const bodyText = await response.text();
+// Health route
+// Ready (200) while no SPC or MCD product is missing or expired, otherwise 503. Also reports the
+// last success and failure of each upstream source and the state of each background job.
+app.get('/health', (req, res) => {
+    logMessage(`Received request at /health`, 'debug', loglevel, { request_id: req.id });
+    try {
+        const caches = {};
+        ['day1', 'day2', 'day3', 'mcd'].forEach((name) => {
+            const { data, ...product } = getProduct(name);
+            caches[name] = product;
+        });
+        const upstreams = upstreamHealth();
+
+        // DEGRADED when a product is stale or an upstream source failed more recently than it succeeded
+        // (NO DATA, a point the source does not cover, is not a failure)
+        const ready = Object.values(caches).every((product) => product.status === "CACHED" || product.status === "STALE");
+        const failing = Object.values(caches).some((product) => product.status === "STALE")
+            || Object.values(upstreams).some((upstream) => upstream.last_status !== 'OK' && upstream.last_status !== 'NO DATA');
+
+        res.status(ready ? 200 : 503).json({
+            status: !ready ? "NOT READY" : failing ? "DEGRADED" : "OK",
+            uptime: Math.round(process.uptime()),
+            caches: caches,
+            upstreams: upstreams,
+            jobs: jobStates(),
+        });
+    } catch (err) {
+        logMessage(`Uncaught error at /health: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
+    }
+});
 
-        if (!contentType.includes('application/json') && !contentType.includes('application/geo+json')) {
-            throw new Error(`Unexpected content-type ${contentType || 'unknown'}; body starts with "${bodyText.slice(0, 80)}"`);
-        }
+// Prometheus metrics route
+app.get('/metrics', requireApiKey('admin'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-        let parsed;
-        try {
-            parsed = JSON.parse(bodyText);
-        } catch (parseErr) {
-            throw new Error(`Invalid JSON: ${parseErr.message}; body starts with "${bodyText.slice(0, 80)}"`);
-        }
 
-        return { data: parsed, status: 'OK' };
-    } catch (err) {
-        if (err.name === 'AbortError') {
-            logMessage(`SPC outlook fetch timeout (${label}): request exceeded 5 seconds`, 'warn', loglevel);
-            return { data: null, status: 'FETCH TIMEOUT' };
-        }
-        logMessage(`Error fetching SPC outlook (${label}): ${err.message}`, 'error', loglevel);
-        return { data: null, status: 'FETCH ERROR' };
-    } finally {
-        clearTimeout(timeout);
+// Snapshot of the cached SPC outlooks and MCDs, read once per request (or batch)
+function readProducts() {
+    return {
+        day1: getProduct('day1'),
+        day2: getProduct('day2'),
+        day3: getProduct('day3'),
+        mcd: getProduct('mcd'),
+    };
+}
+
+// Fetch OWM's current and forecast air pollution for a cache cell, each cached per cell.
+// Resolves to { currentResult, forecastResult }.
+async function fetchAirQuality(cell, { deadline, requestId }) {
+    if (!process.env.OWM_API_KEY) {
+        const notConfigured = { data: null, status: "NOT CONFIGURED" };
+        return { currentResult: notConfigured, forecastResult: notConfigured };
     }
+    const [currentResult, forecastResult] = await Promise.all(['current', 'forecast'].map((type) =>
+        getCachedSource(`airquality_${type}`, cell.key, sourceTtl(airQualitySections), () =>
+            fetchAirPollution(type, cell.lat, cell.lon, { timeout: upstreamTimeouts.airquality, deadline, requestId })
+        )
+    ));
+    return { currentResult, forecastResult };
 }
 
-// Fetch SPC Mesoscale Discussions from ArcGIS MapServer
-async function fetchSpcMesoscaleDiscussions() {
+// Build the OneCall response ({ status, data }) for one location.
+// `products` comes from readProducts(); all upstream fetches finish by `deadline` (epoch ms).
+async function buildOnecall(lat, lon, { units, sections, blend, products, deadline, requestId }) {
+    const wants = (list) => list.some((section) => sections.includes(section));
+
+    let base = null;
+    let nws = null;
+    let raw_alerts = null;
+    let spcRiskD1 = null;
+    let spcRiskD2 = null;
+    let spcRiskD3 = null;
+    let raw_mcd = null;
+    let nws_status = "NOT FETCHED";
+    let base_status = "NOT FETCHED";
+    let alerts_status = "NOT FETCHED";
+    let spc_d1_status = "NOT FETCHED";
+    let spc_d2_status = "NOT FETCHED";
+    let spc_d3_status = "NOT FETCHED";
+    let mcd_status = "NOT FETCHED";
+    let spcAge = null;
+    let mcdAge = null;
+
+    // Fetch the forecast provider alongside the NWS chain (MapClick, then alerts for its zone) under one deadline.
+    // Nearby requests share cached upstream responses for the same grid cell.
+    const cell = snapToGrid(lat, lon);
+    // Only the sources feeding a requested section are fetched. MapClick is also needed
+    // for the alerts zone.
+    const excluded = { data: null, status: "EXCLUDED" };
+    const baseTask = !wants(forecastProvider.sections)
+        ? Promise.resolve(excluded)
+        : !forecastProvider.isConfigured()
+            ? Promise.resolve({ data: null, status: "NOT CONFIGURED" })
+            : getCachedSource(forecastProvider.name, cell.key, sourceTtl(forecastProvider.sections, sections), () =>
+                forecastProvider.fetchForecast(cell.lat, cell.lon, { timeout: upstreamTimeouts[forecastProvider.name], deadline, requestId })
+            );
+    const nwsTask = (async () => {
+        if (!wants([...nwsProvider.sections, 'alerts'])) {
+            return { nwsResult: excluded, alertsResult: excluded };
+        }
+        // When only the zone is needed, the full source TTL applies
+        const nwsTtl = sourceTtl(nwsProvider.sections, sections) || sourceTtl(nwsProvider.sections);
+        const nwsFetch = await getCachedSource(nwsProvider.name, cell.key, nwsTtl, () =>
+            nwsProvider.fetchForecast(cell.lat, cell.lon, { timeout: upstreamTimeouts.nws, deadline, requestId })
+        );
+        if (!sections.includes('alerts')) {
+            return { nwsResult: nwsFetch, alertsResult: excluded };
+        }
+        if (nwsFetch.status !== "OK") {
+            return { nwsResult: nwsFetch, alertsResult: { data: null, status: "NOT FETCHED" } };
+        }
+        // Alerts are cached by forecast zone so every cell in the zone shares them
+        const zone = nwsFetch.data?.location?.zone || '';
+        const alertsFetch = await getCachedSource('alerts', zone, sourceTtl(alertsSections), () => fetchUpstreamJson(
+            `https://api.weather.gov/alerts/active/zone/${zone}`,
+            'NWS alerts',
+            { timeout: upstreamTimeouts.alerts, deadline, requestId }
+        ));
+        return { nwsResult: nwsFetch, alertsResult: alertsFetch };
+    })();
+    const airQualityTask = sections.includes('air_quality')
+        ? fetchAirQuality(cell, { deadline, requestId })
+        : Promise.resolve({ currentResult: excluded, forecastResult: excluded });
+
+    const [baseResult, { nwsResult, alertsResult }, { currentResult: airCurrentResult, forecastResult: airForecastResult }] =
+        await Promise.all([baseTask, nwsTask, airQualityTask]);
+    base_status = baseResult.status;
+    base = base_status === "OK" ? forecastProvider.normalize(baseResult.data) : null;
+    nws_status = nwsResult.status;
+    nws = nws_status === "OK" ? nwsProvider.normalize(nwsResult.data) : null;
+    raw_alerts = alertsResult.data;
+    alerts_status = alertsResult.status;
+
+    // SPC outlooks only cover CONUS, so points elsewhere fall outside every polygon (NONE)
+    if (!sections.includes('spc')) {
+        spc_d1_status = spc_d2_status = spc_d3_status = "EXCLUDED";
+    } else {
+        // CACHED, STALE (served, but past its refresh threshold), EXPIRED (not served) or NOT AVAILABLE
+        const { day1, day2, day3 } = products;
+        spcRiskD1 = day1.data;
+        spcRiskD2 = day2.data;
+        spcRiskD3 = day3.data;
+        spc_d1_status = day1.status;
+        spc_d2_status = day2.status;
+        spc_d3_status = day3.status;
+        const served = [day1, day2, day3].filter((day) => day.data);
+        spcAge = served.length > 0 ? Math.max(...served.map((day) => day.age)) : null;
+    }
+
+    // Read SPC Mesoscale Discussions (MCD) from cache regardless of NWS status
+    if (!sections.includes('mcd')) {
+        mcd_status = "EXCLUDED";
+    } else {
+        const mcd = products.mcd;
+        raw_mcd = mcd.data ? mcd : null;
+        mcd_status = mcd.status;
+        mcdAge = mcd.data ? mcd.age : null;
+    }
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
+    // SPC polygons are [lon, lat]; build the point accordingly and ensure numeric types
+    const response = parseWeatherData([
+        parseFloat(lon),
+        parseFloat(lat)
+    ], base, nws, raw_alerts, [spcRiskD1, spcRiskD2, spcRiskD3], raw_mcd, {
+        units,
+        sections,
+        blend,
+        requestId,
+        airQuality: { current: airCurrentResult.data, forecast: airForecastResult.data },
+    });
+
+    return { status: {
+        // DEGRADED when the forecast provider is unavailable and only NWS data is served
+        mode: (base_status === "OK" || base_status === "EXCLUDED") ? "NORMAL" : "DEGRADED",
+        [forecastProvider.name]: base_status,
+        nws: nws_status,
+        alerts: alerts_status,
+        mcd: mcd_status,
+        spc: {
+            day1: spc_d1_status,
+            day2: spc_d2_status,
+            day3: spc_d3_status
+        },
+        air_quality: {
+            current: airCurrentResult.status,
+            forecast: airForecastResult.status,
+        },
+        cache: {
+            ...sectionCacheStatus([
+                { sections: forecastProvider.sections, result: baseResult },
+                { sections: nwsProvider.sections, result: nwsResult },
+                { sections: alertsSections, result: alertsResult },
+                { sections: airQualitySections, result: airCurrentResult },
+                { sections: airQualitySections, result: airForecastResult },
+            ], sections),
+            // SPC products always come from the background cache; age is that of the oldest served
+            ...(sections.includes('spc') ? { spc: { cached: spcAge !== null, age: spcAge } } : {}),
+            ...(sections.includes('mcd') ? { mcd: { cached: mcdAge !== null, age: mcdAge } } : {}),
+        },
+    }, data: response };
+}
 
+// OneCall main route
+app.get('/onecall', requireApiKey('onecall'), async (req, res) => {
+    logMessage(`Received request at /onecall`, 'debug', loglevel, { request_id: req.id });
     try {
-        const response = await fetch(`https://mapservices.weather.noaa.gov/vector/rest/services/outlooks/spc_mesoscale_discussion/MapServer/0/query?where=1%3D1&outFields=*&f=geojson&returnGeometry=true`, { signal: controller.signal });
-        clearTimeout(timeout);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        const point = parseCoordinates(req.query.lat, req.query.lon);
+        if (!point) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Invalid or missing lat or lon parameter" });
+            return;
         }
 
-        const data = await response.json();
-        return { data, status: 'OK' };
-    } catch (err) {
-        if (err.name === 'AbortError') {
-            logMessage(`SPC MCD fetch timeout: request exceeded 10 seconds`, 'warn', loglevel);
-            return { data: null, status: 'FETCH TIMEOUT' };
+        const { units, error: unitsError } = resolveUnits(req.query);
+        if (unitsError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: unitsError });
+            return;
         }
-        logMessage(`Error fetching SPC Mesoscale Discussions: ${err.message}`, 'error', loglevel);
-        return { data: null, status: 'FETCH ERROR' };
-    } finally {
-        clearTimeout(timeout);
-    }
-}
 
+        const { sections, error: sectionsError } = resolveSections(req.query);
+        if (sectionsError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: sectionsError });
+            return;
+        }
 
-// ===== Endpoints =====
+        const { mode: blend, error: blendError } = resolveBlendMode(req.query);
+        if (blendError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: blendError });
+            return;
+        }
 
-// Home route
+        res.json(await buildOnecall(point.lat, point.lon, {
+            units,
+            sections,
+            blend,
+            products: readProducts(),
+            deadline: Date.now() + onecallDeadline,
+            requestId: req.id,
+        }));
 
-app.get('/', (req, res) => {
-    try {
-        res.json({ status: "OK" });
-        logMessage(`Received request at /`, 'debug', loglevel);
     } catch (err) {
-        logMessage(`Uncaught error at /: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /onecall: ${err.message}`, 'error', loglevel, { request_id: req.id });
         res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
 });
 
 
-// OneCall main route
-app.get('/onecall', async (req, res) => {
-    logMessage(`Received request at /onecall`, 'debug', loglevel);
+// Batch OneCall route
+// POST a JSON array of { id, lat, lon } for up to batchMaxLocations locations; units=, include=, exclude=
+// and blend= apply to all of them. Results are keyed by id, each with its own status block or error.
+// The SPC and MCD caches are read once for the whole batch, locations are fetched batchConcurrency
+// at a time, and locations in the same alerts zone share one alerts fetch through the upstream cache.
+app.post('/onecall/batch', requireApiKey('onecall'), async (req, res) => {
+    logMessage(`Received request at /onecall/batch`, 'debug', loglevel, { request_id: req.id });
     try {
-        const requestApiKey = req.query.key;
-        if (requestApiKey !== apiKey) {
-            logMessage(`Unauthorized access attempt to /onecall with API key: ${requestApiKey}`, 'warn', loglevel);
-            res.status(401).json({ status: "ERROR", code: 401, message: "Invalid API key" });
+        const locations = req.body;
+        if (!Array.isArray(locations) || locations.length === 0) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Expected a JSON array of { id, lat, lon }" });
+            return;
+        }
+        if (locations.length > batchMaxLocations) {
+            res.status(400).json({ status: "ERROR", code: 400, message: `Too many locations, at most ${batchMaxLocations} per batch` });
             return;
         }
 
-        const lat = req.query.lat;
-        const lon = req.query.lon;
+        // Results are keyed by id, so every location needs a distinct one
+        const ids = locations.map((location) => location?.id);
+        if (ids.some((id) => (typeof id !== 'string' || id === '') && typeof id !== 'number')) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Every location needs a string or number id" });
+            return;
+        }
+        if (new Set(ids.map(String)).size !== ids.length) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Location ids must be unique" });
+            return;
+        }
 
-        if (!lat || !lon) {
-            res.status(400).json({ status: "ERROR", code: 400, message: "Missing lat or lon parameter" });
+        const { units, error: unitsError } = resolveUnits(req.query);
+        if (unitsError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: unitsError });
             return;
         }
 
-        let raw_owm = null;
-        let raw_nws = null;
-        let raw_alerts = null;
-        let spcRiskD1 = null;
-        let spcRiskD2 = null;
-        let spcRiskD3 = null;
-        let raw_mcd = null;
-        let nws_status = "NOT FETCHED";
-        let owm_status = "NOT FETCHED";
-        let alerts_status = "NOT FETCHED";
-        let spc_d1_status = "NOT FETCHED";
-        let spc_d2_status = "NOT FETCHED";
-        let spc_d3_status = "NOT FETCHED";
-        let mcd_status = "NOT FETCHED";
-
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 5000);
-            try {
-                const owmResponse = await fetch(`https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&appid=${process.env.OWM_API_KEY}`, { signal: controller.signal });
-                clearTimeout(timeout);
-                raw_owm = await owmResponse.json();
-                owm_status = "OK";
-            } catch (fetchErr) {
-                clearTimeout(timeout);
-                // Sometimes OWM randomly fails. Try one more time.
-                try {
-                    const retryController = new AbortController();  // NEW controller
-                    const retryTimeout = setTimeout(() => retryController.abort(), 5000);
-                    const owmResponse = await fetch(`https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&appid=${process.env.OWM_API_KEY}`, { signal: retryController.signal });
-                    clearTimeout(retryTimeout);
-                    raw_owm = await owmResponse.json();
-                    owm_status = "OK";
-                } catch (fetchErr) {
-                    clearTimeout(timeout);
-                    if (fetchErr.name === 'AbortError') {
-                        logMessage(`OpenWeatherMap fetch timeout: request exceeded 5 seconds`, 'warn', loglevel);
-                        owm_status = "FETCH TIMEOUT";
-                    } else {
-                        logMessage(`Error fetching data from OpenWeatherMap: ${fetchErr.message}`, 'error', loglevel);
-                        owm_status = "FETCH ERROR";
-                    }
-                    raw_owm = {};
-                }
-            }
-        } catch (err) {
-            logMessage(`Error fetching data from OpenWeatherMap: ${err.message}`, 'error', loglevel);
-            raw_owm = {};
-            owm_status = "FETCH ERROR";
+        const { sections, error: sectionsError } = resolveSections(req.query);
+        if (sectionsError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: sectionsError });
+            return;
         }
 
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 5000);
-            try {
-                const nwsResponse = await fetch(`https://forecast.weather.gov/MapClick.php?lat=${lat}&lon=${lon}&FcstType=json`, { signal: controller.signal });
-                clearTimeout(timeout);
-                raw_nws = await nwsResponse.json();
-                nws_status = "OK";
-            } catch (fetchErr) {
-                clearTimeout(timeout);
-                if (fetchErr.name === 'AbortError') {
-                    logMessage(`NWS fetch timeout: request exceeded 5 seconds`, 'warn', loglevel);
-                    nws_status = "FETCH TIMEOUT";
-                } else if (fetchErr.toString().includes("is not valid JSON")) {
-                    // No NWS data available for this location
-                    logMessage(`No NWS data available for lat: ${lat}, lon: ${lon}`, 'debug', loglevel);
-                    nws_status = "NO DATA";
-                } else {
-                    logMessage(`Error fetching data from NWS: ${fetchErr.message}`, 'error', loglevel);
-                    nws_status = "FETCH ERROR";
-                }
-                raw_nws = {};
-            }
-        } catch (err) {
-            logMessage(`Error fetching data from NWS: ${err.message}`, 'error', loglevel);
-            raw_nws = {};
-            nws_status = "FETCH ERROR";
+        const { mode: blend, error: blendError } = resolveBlendMode(req.query);
+        if (blendError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: blendError });
+            return;
         }
 
-        if (nws_status == "OK"){
+        const products = readProducts();
+        // No prototype, so ids like "__proto__" or "constructor" are plain keys
+        const results = Object.create(null);
+        await mapLimit(locations, batchConcurrency, async ({ id, lat, lon }) => {
+            const point = parseCoordinates(lat, lon);
+            if (!point) {
+                results[id] = { status: "ERROR", code: 400, message: "Invalid or missing lat or lon" };
+                return;
+            }
             try {
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), 3000);
-                try {
-                    const alertsResponse = await fetch(`https://api.weather.gov/alerts/active/zone/${raw_nws?.location?.zone || ''}`, { signal: controller.signal });
-                    clearTimeout(timeout);
-                    raw_alerts = await alertsResponse.json();
-                    alerts_status = "OK";
-                } catch (fetchErr) {
-                    clearTimeout(timeout);
-                    if (fetchErr.name === 'AbortError') {
-                        logMessage(`NWS alerts fetch timeout: request exceeded 5 seconds`, 'warn', loglevel);
-                        alerts_status = "FETCH TIMEOUT";
-                    } else {
-                        logMessage(`Error fetching alert data from NWS: ${fetchErr.message}`, 'error', loglevel);
-                        alerts_status = "FETCH ERROR";
-                    }
-                    raw_alerts = {};
-                }
+                // Each location gets the full budget from when its turn starts, so later rounds are not starved
+                const deadline = Date.now() + onecallDeadline;
+                results[id] = await buildOnecall(point.lat, point.lon, { units, sections, blend, products, deadline, requestId: req.id });
             } catch (err) {
-                logMessage(`Error fetching alert data from NWS: ${err.message}`, 'error', loglevel);
-                alerts_status = "FETCH ERROR";
-                raw_alerts = {};
+                logMessage(`Error building batch location ${id}: ${err.message}`, 'error', loglevel, { request_id: req.id });
+                results[id] = { status: "ERROR", code: 500, message: err.message };
             }
-            const spcCache = readSpcCache();
-            spcRiskD1 = spcCache.day1;
-            spcRiskD2 = spcCache.day2;
-            spcRiskD3 = spcCache.day3;
-            spc_d1_status = spcCache.day1 ? "CACHED" : "NOT AVAILABLE";
-            spc_d2_status = spcCache.day2 ? "CACHED" : "NOT AVAILABLE";
-            spc_d3_status = spcCache.day3 ? "CACHED" : "NOT AVAILABLE";
-        }
+        });
+
+        res.json({ status: "OK", data: results });
 
-        // Read SPC Mesoscale Discussions (MCD) from cache regardless of NWS status
-        try {
-            const mcdCache = readMcdCache();
-            raw_mcd = mcdCache || null;
-            mcd_status = (mcdCache && mcdCache.data && Array.isArray(mcdCache.data.features) && mcdCache.data.features.length > 0)
-                ? "CACHED"
-                : "NOT AVAILABLE";
-        } catch (err) {
-            logMessage(`Error reading MCD cache: ${err.message}`, 'warn', loglevel);
-            raw_mcd = null;
-            mcd_status = "FETCH ERROR";
+    } catch (err) {
+        logMessage(`Uncaught error at /onecall/batch: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
+    }
+});
+
+
+// Active alerts route
+// Select alerts by point (lat/lon), forecast or county zone (zone), or state (state), with optional
+// comma separated severity=, urgency= and event= filters
+app.get('/alerts', requireApiKey('alerts'), async (req, res) => {
+    logMessage(`Received request at /alerts`, 'debug', loglevel, { request_id: req.id });
+    try {
+        const { lat, lon } = req.query;
+        const zone = req.query.zone?.toUpperCase();
+        const state = req.query.state?.toUpperCase();
+        const list = (value) => value ? String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean) : [];
+
+        let url;
+        let key;
+        let point = null;
+        if (lat !== undefined || lon !== undefined) {
+            const coordinates = parseCoordinates(lat, lon);
+            if (!coordinates) {
+                res.status(400).json({ status: "ERROR", code: 400, message: "Invalid lat or lon parameter" });
+                return;
+            }
+            // The point query returns every alert for the zones containing the point;
+            // storm-based polygons are then checked against the exact point
+            ({ url, key } = pointAlertsQuery(coordinates.lat, coordinates.lon));
+            point = [coordinates.lon, coordinates.lat];
+        } else if (zone) {
+            if (!/^[A-Z]{2}[CZ]\d{3}$/.test(zone)) {
+                res.status(400).json({ status: "ERROR", code: 400, message: "Invalid zone parameter, expected e.g. ILZ027 or ILC113" });
+                return;
+            }
+            // Same cache key as the /onecall zone alerts
+            url = `https://api.weather.gov/alerts/active/zone/${zone}`;
+            key = zone;
+        } else if (state) {
+            if (!/^[A-Z]{2}$/.test(state)) {
+                res.status(400).json({ status: "ERROR", code: 400, message: "Invalid state parameter, expected a two letter code" });
+                return;
+            }
+            url = `https://api.weather.gov/alerts/active/area/${state}`;
+            key = `area:${state}`;
+        } else {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Missing lat/lon, zone or state parameter" });
+            return;
         }
 
-        // SPC polygons are [lon, lat]; build the point accordingly and ensure numeric types
-        const response = parseWeatherData([
-            parseFloat(lon),
-            parseFloat(lat)
-        ], raw_owm, raw_nws, raw_alerts, [spcRiskD1, spcRiskD2, spcRiskD3], raw_mcd);
+        const deadline = Date.now() + onecallDeadline;
+        const alertsResult = await getCachedSource('alerts', key, sourceTtl(alertsSections), () =>
+            fetchUpstreamJson(url, 'NWS alerts', { timeout: upstreamTimeouts.alerts, deadline, requestId: req.id })
+        );
+
+        const alerts = alertsResult.status === "OK"
+            ? parseAlerts(alertsResult.data, {
+                point,
+                geometry: true,
+                severity: list(req.query.severity),
+                urgency: list(req.query.urgency),
+                event: list(req.query.event),
+                requestId: req.id,
+            })
+            : [];
 
         res.json({ status: {
-            owm: owm_status,
-            nws: nws_status,
-            alerts: alerts_status,
-            mcd: mcd_status,
-            spc: {
-                day1: spc_d1_status,
-                day2: spc_d2_status,
-                day3: spc_d3_status
-            },
-        }, data: response });
+            alerts: alertsResult.status,
+            cache: sectionCacheStatus([{ sections: alertsSections, result: alertsResult }], alertsSections),
+        }, data: alerts });
 
     } catch (err) {
-        logMessage(`Uncaught error at /onecall: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /alerts: ${err.message}`, 'error', loglevel, { request_id: req.id });
         res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
 });
 
 
-// ===== SPC Outlook Fetcher =====
-// Fetch SPC outlooks every 30 minutes to cut down on latency for /onecall requests
-
-// Read SPC cache from file
-function readSpcCache() {
+// Air quality route
+// US EPA AQI for a point (lat/lon), now and hourly for the OWM air pollution forecast
+app.get('/airquality', requireApiKey('airquality'), async (req, res) => {
+    logMessage(`Received request at /airquality`, 'debug', loglevel, { request_id: req.id });
     try {
-        const cacheFile = './spc_cache.json';
-        if (fs.existsSync(cacheFile)) {
-            const data = fs.readFileSync(cacheFile, 'utf8');
-            return JSON.parse(data);
+        const point = parseCoordinates(req.query.lat, req.query.lon);
+        if (!point) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Invalid or missing lat or lon parameter" });
+            return;
         }
-    } catch (err) {
-        logMessage(`Error reading SPC cache: ${err.message}`, 'warn', loglevel);
-    }
-    return { day1: null, day2: null, day3: null, lastUpdated: null };
-}
 
-// Write SPC cache to file
-function writeSpcCache(day1, day2, day3, lastUpdated) {
-    try {
-        const cacheFile = './spc_cache.json';
-        const cacheData = { day1, day2, day3, lastUpdated };
-        fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2), 'utf8');
-        logMessage(`SPC cache updated successfully`, 'debug', loglevel);
+        const { currentResult, forecastResult } = await fetchAirQuality(snapToGrid(point.lat, point.lon), {
+            deadline: Date.now() + onecallDeadline,
+            requestId: req.id,
+        });
+
+        res.json({ status: {
+            air_quality: {
+                current: currentResult.status,
+                forecast: forecastResult.status,
+            },
+            cache: sectionCacheStatus([
+                { sections: airQualitySections, result: currentResult },
+                { sections: airQualitySections, result: forecastResult },
+            ], airQualitySections),
+        }, data: parseAirQuality(currentResult.data, forecastResult.data, { requestId: req.id }) });
+
     } catch (err) {
-        logMessage(`Error writing SPC cache: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /airquality: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
-}
+});
+
 
-// Update SPC cache by fetching all three outlooks
-async function updateSpcCache() {
-    logMessage(`Updating SPC cache...`, 'debug', loglevel);
+// Radar site route
+// The n nearest WSR-88D and TDWR sites to a point (lat/lon) with distance and bearing, optionally of one
+// type; without lat/lon, the whole bundled site table
+app.get('/radar/sites', requireApiKey('radar'), (req, res) => {
+    logMessage(`Received request at /radar/sites`, 'debug', loglevel, { request_id: req.id });
     try {
-        const day1 = await fetchSpcOutlook('https://www.spc.noaa.gov/products/outlook/day1otlk_cat.nolyr.geojson', 'day1');
-        const day2 = await fetchSpcOutlook('https://www.spc.noaa.gov/products/outlook/day2otlk_cat.nolyr.geojson', 'day2');
-        const day3 = await fetchSpcOutlook('https://www.spc.noaa.gov/products/outlook/day3otlk_cat.nolyr.geojson', 'day3');
-        
-        writeSpcCache(day1.data, day2.data, day3.data, new Date().toISOString());
+        const { lat, lon } = req.query;
+        const { n, type, error } = resolveRadarQuery(req.query, radarMaxSites);
+        if (error) {
+            res.status(400).json({ status: "ERROR", code: 400, message: error });
+            return;
+        }
+        const { units, error: unitsError } = resolveUnits(req.query);
+        if (unitsError) {
+            res.status(400).json({ status: "ERROR", code: 400, message: unitsError });
+            return;
+        }
+
+        if (lat === undefined && lon === undefined) {
+            res.json({ status: "OK", data: radarSites.filter((site) => !type || site.type === type) });
+            return;
+        }
+        const point = parseCoordinates(lat, lon);
+        if (!point) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Invalid lat or lon parameter" });
+            return;
+        }
+
+        const sites = nearestRadarSites(point.lat, point.lon, { n, type });
+        sites.forEach((site) => convertFields(site, { distance: 'distance' }, units));
+        res.json({ status: "OK", units, data: sites });
+
     } catch (err) {
-        logMessage(`Error updating SPC cache: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /radar/sites: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
-}
+});
 
 
-// ===== SPC MD Fetcher =====
-// Read MCD cache from file
-function readMcdCache() {
+// Webhook subscription routes
+// POST a JSON body of { lat, lon, callback, types?, events? }; the response holds the secret used to sign deliveries
+app.post('/subscriptions', requireApiKey('subscriptions'), (req, res) => {
+    logMessage(`Received request at POST /subscriptions`, 'debug', loglevel, { request_id: req.id });
     try {
-        const cacheFile = './mcd_cache.json';
-        if (fs.existsSync(cacheFile)) {
-            const data = fs.readFileSync(cacheFile, 'utf8');
-            return JSON.parse(data);
+        const { subscription, error } = createSubscription(req.body, req.apiKey.name);
+        if (error) {
+            res.status(400).json({ status: "ERROR", code: 400, message: error });
+            return;
         }
+        res.status(201).json({ status: "OK", data: subscription });
     } catch (err) {
-        logMessage(`Error reading MCD cache: ${err.message}`, 'warn', loglevel);
+        logMessage(`Uncaught error at POST /subscriptions: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
-    return { data: null, lastUpdated: null };
-}
+});
+
+app.get('/subscriptions', requireApiKey('subscriptions'), (req, res) => {
+    logMessage(`Received request at GET /subscriptions`, 'debug', loglevel, { request_id: req.id });
+    res.json({ status: "OK", data: listSubscriptions(req.apiKey.name) });
+});
+
+app.get('/subscriptions/:id', requireApiKey('subscriptions'), (req, res) => {
+    logMessage(`Received request at GET /subscriptions/:id`, 'debug', loglevel, { request_id: req.id });
+    const subscription = getSubscription(req.params.id, req.apiKey.name);
+    if (!subscription) {
+        res.status(404).json({ status: "ERROR", code: 404, message: "Subscription not found" });
+        return;
+    }
+    res.json({ status: "OK", data: subscription });
+});
+
+app.delete('/subscriptions/:id', requireApiKey('subscriptions'), (req, res) => {
+    logMessage(`Received request at DELETE /subscriptions/:id`, 'debug', loglevel, { request_id: req.id });
+    if (!deleteSubscription(req.params.id, req.apiKey.name)) {
+        res.status(404).json({ status: "ERROR", code: 404, message: "Subscription not found" });
+        return;
+    }
+    res.json({ status: "OK" });
+});
+
 
-// Write MCD cache to file
-function writeMcdCache(data, lastUpdated) {
+// Live stream route
+// Server-Sent Events with the current alerts, MCDs and SPC risk for a point, then `alert`, `mcd`
+// and `spc` events as they change; reconnecting clients resume from Last-Event-ID
+app.get('/stream', requireApiKey('stream'), async (req, res) => {
+    logMessage(`Received request at /stream`, 'debug', loglevel, { request_id: req.id });
     try {
-        const cacheFile = './mcd_cache.json';
-        const cacheData = { data, lastUpdated };
-        fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2), 'utf8');
-        logMessage(`MCD cache updated successfully`, 'debug', loglevel);
+        const point = parseCoordinates(req.query.lat, req.query.lon);
+        if (!point) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Invalid or missing lat or lon parameter" });
+            return;
+        }
+        await openStream(req, res, [point.lon, point.lat], streamSnapshot);
     } catch (err) {
-        logMessage(`Error writing MCD cache: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /stream: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        if (!res.headersSent) {
+            res.status(500).json({ status: "ERROR", code: 500, message: err.message });
+        } else {
+            res.end();
+        }
     }
-}
+});
 
-async function updateMcdCache() {
-    logMessage(`Updating MCD cache...`, 'debug', loglevel);
+
+// Log query route
+// Filter by minimum level=, request_id=, and since=/until= (ISO time or epoch ms); newest entries first
+app.get('/admin/logs', requireApiKey('admin'), async (req, res) => {
+    logMessage(`Received request at /admin/logs`, 'debug', loglevel, { request_id: req.id });
     try {
-        const result = await fetchSpcMesoscaleDiscussions();
-        if (result.status === 'OK') {
-            writeMcdCache(result.data, new Date().toISOString());
-        } else {
-            logMessage(`MCD cache update failed with status: ${result.status}`, 'warn', loglevel);
+        const level = req.query.level?.toLowerCase();
+        if (level && !levels.includes(level)) {
+            res.status(400).json({ status: "ERROR", code: 400, message: `Invalid level, expected one of: ${levels.join(', ')}` });
+            return;
+        }
+
+        const parseTime = (value) => value === undefined ? undefined : (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value));
+        const since = parseTime(req.query.since);
+        const until = parseTime(req.query.until);
+        if ((since !== undefined && isNaN(since)) || (until !== undefined && isNaN(until))) {
+            res.status(400).json({ status: "ERROR", code: 400, message: "Invalid since or until parameter" });
+            return;
         }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        const entries = await readLogs({ level, request_id: req.query.request_id, since, until, limit });
+        res.json({ status: "OK", data: entries });
     } catch (err) {
-        logMessage(`Error updating MCD cache: ${err.message}`, 'error', loglevel);
+        logMessage(`Uncaught error at /admin/logs: ${err.message}`, 'error', loglevel, { request_id: req.id });
+        res.status(500).json({ status: "ERROR", code: 500, message: err.message });
     }
+});
+
+
+// ===== Subscription Worker =====
+// Check subscriptions against new alerts and MCDs every minute
+
+// Point alerts share the /alerts cache, so subscriptions and streams at one point cause one fetch
+async function fetchPointAlerts(lat, lon) {
+    const { url, key } = pointAlertsQuery(lat, lon);
+    const result = await getCachedSource('alerts', key, sourceTtl(alertsSections), () =>
+        fetchUpstreamJson(url, 'NWS alerts', { timeout: upstreamTimeouts.alerts })
+    );
+    return result.status === "OK" ? result.data : null;
+}
+
+async function runSubscriptionCheck() {
+    await checkSubscriptions({ fetchAlerts: fetchPointAlerts, raw_mcd: getProduct('mcd') });
+}
+
+// ===== Stream Updates =====
+// Push alert, MCD and SPC changes to open /stream connections as the background refreshers run
+
+// Shapes match the alerts, mesoscale_discussions and forecasts.spc sections of /onecall
+async function streamAlerts(point) {
+    const raw_alerts = await fetchPointAlerts(point[1], point[0]);
+    return raw_alerts ? parseAlerts(raw_alerts, { point }) : null;
+}
+
+function streamMcds(point) {
+    return parseMcds(getProduct('mcd'), point);
+}
+
+function streamSpcRisks(point) {
+    const today = localDate(Date.now(), timezoneAt(point[1], point[0]));
+    return parseSpcRisks(['day1', 'day2', 'day3'].map((day) => getProduct(day).data), point, today);
+}
+
+async function streamSnapshot(point) {
+    return { alert: await streamAlerts(point), mcd: streamMcds(point), spc: streamSpcRisks(point) };
+}
+
+async function runStreamAlertCheck() {
+    await updateStreams('alert', streamAlerts);
 }
 
 // ===== Startup =====
 
-// Update SPC cache immediately on startup
-await updateSpcCache();
+// Start from the SPC and MCD products saved by the last run; the first refresh runs in the background
+loadProductCaches();
+
+// Load saved webhook subscriptions
+loadSubscriptions();
+
+// Refresh SPC outlooks every 30 minutes, pushing changes to open streams
+scheduleJob('spc', 30 * 60 * 1000, async () => {
+    try {
+        await updateSpcCache();
+    } finally {
+        await updateStreams('spc', streamSpcRisks);
+    }
+});
 
-// Update MCD cache immediately on startup
-await updateMcdCache();
+// Refresh MCDs every 5 minutes, pushing changes to open streams
+scheduleJob('mcd', 5 * 60 * 1000, async () => {
+    try {
+        await updateMcdCache();
+    } finally {
+        await updateStreams('mcd', streamMcds);
+    }
+});
 
-// Set up interval to update SPC cache every 30 minutes
-setInterval(updateSpcCache, 30 * 60 * 1000);
+// Check webhook subscriptions every minute
+scheduleJob('subscriptions', 60 * 1000, runSubscriptionCheck, { immediate: false });
 
-// Set up interval to update MCD cache every 5 minutes
-setInterval(updateMcdCache, 5 * 60 * 1000);
+// Refresh alerts for open streams every minute
+scheduleJob('stream_alerts', 60 * 1000, runStreamAlertCheck, { immediate: false });
 
 // Start the server
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`SparkRadarWXAPI running on port http://localhost:${port}`);
     logMessage(`Server started on port ${port}`, 'info', loglevel);
 });
@@ -388,4 +759,20 @@ app.listen(port, () => {
 // Handle uncaught errors
 app.on('error', (err) => {
     logMessage(`Internal uncaught error: ${err.message}`, 'error', loglevel);
-});
\ No newline at end of file
+});
+
+// Stop cleanly: no new jobs or connections, end open streams so the server can close, then flush the log.
+// Exits anyway if connections are still open after 10 seconds.
+function shutdown(signal) {
+    logMessage(`Received ${signal}, shutting down`, 'info', loglevel);
+    stopJobs();
+    closeStreams();
+    setTimeout(() => process.exit(1), 10000).unref();
+    server.close(async () => {
+        await closeLogs();
+        process.exit(0);
+    });
+    server.closeIdleConnections();
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
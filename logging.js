@@ -1,8 +1,12 @@
 // This script handles logging for the application
+// Entries are appended to app.log as JSON lines, and the file is rotated by size and age
 
 // Imports
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
 
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -11,47 +15,155 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Define log file path
-const logFilePath = path.join(__dirname, 'app.log');
+const logFilePath = process.env.LOG_FILE ? path.resolve(process.env.LOG_FILE) : path.join(__dirname, 'app.log');
 
-// Logging function
-function logMessage(message, level = 'info', loglevel = 'info') {
-    // Logs so that most recent logs are at the top
-    if (["debug", "info", "warn", "error"].indexOf(level) < ["debug", "info", "warn", "error"].indexOf(loglevel)) {
-        return; // Skip logging if level is lower than current loglevel
+// Rotate once the file reaches this size (bytes) or age (ms), keeping this many rotated files
+const maxFileSize = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024;
+const maxFileAge = (parseFloat(process.env.LOG_ROTATE_HOURS) || 24) * 60 * 60 * 1000;
+const maxFiles = process.env.LOG_MAX_FILES !== undefined ? parseInt(process.env.LOG_MAX_FILES) || 0 : 5;
+
+// Also write entries to the console: "pretty" for readable lines, "json" for the raw entries
+const consoleMode = (process.env.LOG_CONSOLE || '').toLowerCase();
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+let stream = null;
+let fileSize = 0;
+let fileOpened = 0;
+
+function openLogFile() {
+    try {
+        const stats = fs.statSync(logFilePath);
+        fileSize = stats.size;
+        fileOpened = stats.birthtimeMs || stats.mtimeMs;
+    } catch (err) {
+        fileSize = 0;
+        fileOpened = Date.now();
     }
+    stream = fs.createWriteStream(logFilePath, { flags: 'a' });
+    stream.on('error', (err) => console.error(`Error writing log file: ${err.message}`));
+}
 
-    // Prepare new log entry
-    const now = new Date();
-    const timestamp = now.toLocaleDateString('en-US', { 
-        day: '2-digit', 
-        month: '2-digit', 
-        year: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: true,
-        timeZoneName: 'short'
-    });
-    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+// Rotated files sit next to the log as app.log.<timestamp>, oldest first
+function rotatedFiles() {
+    const prefix = `${path.basename(logFilePath)}.`;
+    try {
+        return fs.readdirSync(path.dirname(logFilePath))
+            .filter((file) => file.startsWith(prefix))
+            .sort()
+            .map((file) => path.join(path.dirname(logFilePath), file));
+    } catch (err) {
+        return [];
+    }
+}
 
-    let existingLogs = '';
+// Move the current file aside and start a new one. Writes still queued on the old stream
+// follow the renamed file, so no entries are lost.
+function rotateLogFile() {
     try {
-        existingLogs = fs.readFileSync(logFilePath, 'utf8');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        fs.renameSync(logFilePath, `${logFilePath}.${stamp}`);
     } catch (err) {
-        if (err.code !== 'ENOENT') throw err; // Only ignore file-not-found
+        console.error(`Error rotating log file: ${err.message}`);
+    }
+    stream.end();
+    openLogFile();
+
+    // Drop the oldest rotated files beyond the retention count
+    const files = rotatedFiles();
+    files.slice(0, Math.max(0, files.length - maxFiles)).forEach((file) => {
+        fs.unlink(file, (err) => {
+            if (err) console.error(`Error removing old log file: ${err.message}`);
+        });
+    });
+}
+
+function printEntry(entry) {
+    if (consoleMode === 'json') {
+        console.log(JSON.stringify(entry));
+    } else if (consoleMode === 'pretty') {
+        const { time, level, message, request_id, ...rest } = entry;
+        const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        console.log(`[${time}] ${level.toUpperCase()}${request_id ? ` (${request_id})` : ''}: ${message}${extra}`);
+    }
+}
+
+// Logging function
+// `fields` adds structured data to the entry, such as { request_id: req.id }
+function logMessage(message, level = 'info', loglevel = 'info', fields = {}) {
+    if (levels.indexOf(level) < levels.indexOf(loglevel)) {
+        return; // Skip logging if level is lower than current loglevel
+    }
+
+    const entry = { time: new Date().toISOString(), level, message, ...fields };
+    const line = JSON.stringify(entry) + '\n';
+    const lineSize = Buffer.byteLength(line);
+
+    if (!stream) {
+        openLogFile();
+    } else if (fileSize > 0 && (fileSize + lineSize > maxFileSize || Date.now() - fileOpened > maxFileAge)) {
+        rotateLogFile();
     }
+    stream.write(line);
+    fileSize += lineSize;
 
-    // Only keep the latest 1000 lines
-    const existingLogLines = existingLogs ? existingLogs.split('\n') : [];
-    if (existingLogLines.length >= 1000) {
-        existingLogLines.splice(1000 - 1); // Keep only the first 999 lines
-        existingLogs = existingLogLines.join('\n');
+    printEntry(entry);
+}
+
+// Express middleware giving each request an ID (req.id) for its log entries, taken from a
+// well-formed X-Request-Id header or generated, and returned in the X-Request-Id response header
+function assignRequestId(req, res, next) {
+    const requested = req.get('X-Request-Id');
+    req.id = requested && /^[\w.:-]{1,64}$/.test(requested) ? requested : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+// Read logged entries, newest first, from the current and rotated files.
+// Filters: minimum `level`, `request_id`, and `since`/`until` times (ms); at most `limit` entries.
+async function readLogs({ level, request_id, since, until, limit = 100 } = {}) {
+    const minLevel = level ? levels.indexOf(level) : 0;
+    const entries = [];
+    const files = [logFilePath, ...rotatedFiles().reverse()];
+
+    for (const file of files) {
+        let content;
+        try {
+            content = await fs.promises.readFile(file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') continue;
+            throw err;
+        }
+
+        const lines = content.split('\n');
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (err) {
+                continue; // Blank line or a line from the old plain text format
+            }
+            const time = Date.parse(entry.time);
+            if (levels.indexOf(entry.level) < minLevel) continue;
+            if (request_id && entry.request_id !== request_id) continue;
+            if (since !== undefined && time < since) continue;
+            if (until !== undefined && time > until) continue;
+            entries.push(entry);
+        }
+
+        if (entries.length >= limit) break;
     }
+    return entries;
+}
 
-    // Prepend new log entry to existing logs
-    const newLogContent = logEntry + (existingLogs ? '\n' + existingLogs : '');
-    fs.writeFileSync(logFilePath, newLogContent, 'utf8');
+// Flush and close the log file, e.g. before exiting
+function closeLogs() {
+    return new Promise((resolve) => {
+        if (!stream) return resolve();
+        stream.end(resolve);
+        stream = null;
+    });
 }
 
 // Exports
-export { logMessage };
\ No newline at end of file
+export { logMessage, assignRequestId, readLogs, closeLogs, levels };
@@ -0,0 +1,132 @@
+// This script collects request, upstream fetch and cache metrics for the /metrics endpoint
+// (Prometheus text format), and the last upstream outcomes reported by /health
+
+// Histogram buckets (seconds) for request and upstream fetch durations
+const durationBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = {
+    http_requests_total: { type: 'counter', help: 'HTTP requests by route, method and status code', series: new Map() },
+    http_request_duration_seconds: { type: 'histogram', help: 'HTTP request duration by route', series: new Map() },
+    upstream_fetches_total: { type: 'counter', help: 'Upstream fetches by source and outcome', series: new Map() },
+    upstream_fetch_duration_seconds: { type: 'histogram', help: 'Upstream fetch duration by source, including retries', series: new Map() },
+    cache_lookups_total: { type: 'counter', help: 'Upstream cache lookups by source and result (hit, coalesced, miss)', series: new Map() },
+};
+
+// Last success and failure of each upstream source
+const upstreams = {};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+function seriesFor(metric, labels, create) {
+    const key = JSON.stringify(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+        series = { labels, ...create() };
+        metric.series.set(key, series);
+    }
+    return series;
+}
+
+function increment(name, labels) {
+    seriesFor(metrics[name], labels, () => ({ value: 0 })).value++;
+}
+
+function observe(name, labels, seconds) {
+    const series = seriesFor(metrics[name], labels, () => ({ buckets: durationBuckets.map(() => 0), sum: 0, count: 0 }));
+    durationBuckets.forEach((bound, i) => {
+        if (seconds <= bound) series.buckets[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+// Express middleware counting each request and its duration once the response finishes.
+// Requests are labeled by their route pattern (e.g. /subscriptions/:id) to keep the label set small.
+function trackRequests(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        increment('http_requests_total', { route, method: req.method, status: res.statusCode });
+        observe('http_request_duration_seconds', { route }, seconds);
+    });
+    next();
+}
+
+// Record the outcome (OK, FETCH TIMEOUT, FETCH ERROR, NO DATA) and duration of an upstream fetch
+function recordUpstream(source, status, seconds) {
+    increment('upstream_fetches_total', { source, status });
+    observe('upstream_fetch_duration_seconds', { source }, seconds);
+
+    const now = new Date().toISOString();
+    const state = upstreams[source] || (upstreams[source] = { last_success: null, last_failure: null, last_status: null });
+    state.last_status = status;
+    // NO DATA is an answer: the source has nothing for that point (e.g. MapClick outside the US)
+    if (status === 'OK' || status === 'NO DATA') {
+        state.last_success = now;
+    } else {
+        state.last_failure = now;
+    }
+}
+
+// Time a pending upstream fetch resolving to { data, status } and record it under `source`
+async function trackUpstream(source, fetching) {
+    const started = process.hrtime.bigint();
+    const result = await fetching;
+    recordUpstream(source, result.status, Number(process.hrtime.bigint() - started) / 1e9);
+    return result;
+}
+
+// Record an upstream cache lookup: hit, coalesced (joined an in-flight fetch) or miss
+function recordCache(source, result) {
+    increment('cache_lookups_total', { source, result });
+}
+
+function upstreamHealth() {
+    return JSON.parse(JSON.stringify(upstreams));
+}
+
+// Render every metric in the Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    Object.entries(metrics).forEach(([name, metric]) => {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        metric.series.forEach((series) => {
+            if (metric.type === 'counter') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                return;
+            }
+            durationBuckets.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    });
+
+    // Hit ratio per cache source, counting coalesced lookups as hits since they cause no extra fetch
+    const lookups = {};
+    metrics.cache_lookups_total.series.forEach(({ labels, value }) => {
+        const totals = lookups[labels.source] || (lookups[labels.source] = { hits: 0, total: 0 });
+        totals.total += value;
+        if (labels.result !== 'miss') totals.hits += value;
+    });
+    lines.push('# HELP cache_hit_ratio Share of upstream cache lookups answered without a new fetch', '# TYPE cache_hit_ratio gauge');
+    Object.entries(lookups).forEach(([source, { hits, total }]) => {
+        lines.push(`cache_hit_ratio${formatLabels({ source })} ${total > 0 ? hits / total : 0}`);
+    });
+
+    lines.push('# HELP process_uptime_seconds Seconds since the server started', '# TYPE process_uptime_seconds gauge');
+    lines.push(`process_uptime_seconds ${process.uptime()}`);
+    lines.push('# HELP process_resident_memory_bytes Resident memory size in bytes', '# TYPE process_resident_memory_bytes gauge');
+    lines.push(`process_resident_memory_bytes ${process.memoryUsage().rss}`);
+    return lines.join('\n') + '\n';
+}
+
+// Exports
+export { trackRequests, recordUpstream, trackUpstream, recordCache, upstreamHealth, renderMetrics };
@@ -0,0 +1,16 @@
+// Registry of forecast provider adapters
+// Each adapter exports: name, label, sections, isConfigured(), fetchForecast(lat, lon, options)
+// and normalize(raw), which returns the shared forecast model consumed by parseWeatherData
+
+import * as owm from './owm.js';
+import * as nws from './nws.js';
+import * as openmeteo from './openmeteo.js';
+
+const providers = { owm, nws, openmeteo };
+
+function getProvider(name) {
+    return providers[name] || null;
+}
+
+// Exports
+export { getProvider };
@@ -0,0 +1,75 @@
+// NWS MapClick (forecast.weather.gov) adapter
+// Fetches the point forecast and normalizes it into the shared forecast model
+
+import { fetchUpstreamJson } from '../upstream.js';
+import { safeParseInt, fahrenheitToKelvin, mphToMs, milesToKm, inHgToHpa } from '../utils.js';
+
+const name = 'nws';
+const label = 'NWS';
+
+// Response sections this source feeds
+const sections = ['current', 'daily'];
+
+function isConfigured() {
+    return true;
+}
+
+async function fetchForecast(lat, lon, { timeout, deadline, requestId } = {}) {
+    return fetchUpstreamJson(
+        `https://forecast.weather.gov/MapClick.php?lat=${lat}&lon=${lon}&FcstType=json`,
+        label,
+        { timeout, deadline, requestId }
+    );
+}
+
+// MapClick reports °F, mph, miles and inHg; convert to Kelvin, m/s, km and hPa
+function normalize(raw) {
+    const obs = raw?.currentobservation;
+    const time = raw?.time || {};
+    const data = raw?.data || {};
+    const periodNames = Array.isArray(time.startPeriodName) ? time.startPeriodName : [];
+
+    return {
+        source: name,
+        location: {
+            timezone: null,
+            timezone_offset: null,
+            wfo: raw?.location?.wfo || null,
+            radar: raw?.location?.radar || null,
+            zone: raw?.location?.zone || null,
+        },
+        current: obs ? {
+            time: null,
+            temperature: fahrenheitToKelvin(obs.Temp),
+            dew_point: fahrenheitToKelvin(obs.Dewp),
+            humidity: safeParseInt(obs.Relh),
+            wind_speed: mphToMs(obs.Winds),
+            wind_gust: mphToMs(obs.Gust) || null, // MapClick reports 0 when there are no gusts
+            wind_direction: safeParseInt(obs.Windd),
+            condition: obs.Weather || null,
+            icon: obs.Weatherimage && obs.Weatherimage !== 'NULL' ? obs.Weatherimage : null, // e.g. "nsct.png"
+            cloud_cover: null,
+            visibility: milesToKm(obs.Visibility),
+            pressure: inHgToHpa(obs.SLP),
+            sunrise: null,
+            sunset: null,
+        } : null,
+        minutely: [],
+        hourly: [],
+        daily: [],
+        // Half-day forecast periods ("Today", "Tonight", ...) as issued by the WFO
+        periods: periodNames.map((periodName, i) => ({
+            name: periodName,
+            start: time.startValidTime?.[i] || null,
+            label: time.tempLabel?.[i] || null,
+            temperature: fahrenheitToKelvin(data.temperature?.[i]),
+            condition: data.weather?.[i] || null,
+            icon: data.iconLink?.[i] || null,
+            precipitation_probability: safeParseInt(data.pop?.[i]),
+            text: data.text?.[i] || null,
+        })),
+    };
+}
+
+// Exports
+export { name, label, sections, isConfigured, fetchForecast, normalize };
@@ -0,0 +1,147 @@
+// Open-Meteo adapter (https://open-meteo.com, no API key needed)
+// Fetches the global forecast and normalizes it into the shared forecast model
+
+import { fetchUpstreamJson } from '../upstream.js';
+import { safeParseInt, safeParseFloat, unixToIso, celsiusToKelvin } from '../utils.js';
+
+const name = 'openmeteo';
+const label = 'Open-Meteo';
+
+// Response sections this source feeds
+const sections = ['current', 'minutely', 'hourly', 'daily'];
+
+// Text for the WMO weather interpretation codes that Open-Meteo reports
+const wmoDescriptions = {
+    0: 'Clear',
+    1: 'Mostly Clear',
+    2: 'Partly Cloudy',
+    3: 'Cloudy',
+    45: 'Fog',
+    48: 'Freezing Fog',
+    51: 'Light Drizzle',
+    53: 'Drizzle',
+    55: 'Heavy Drizzle',
+    56: 'Light Freezing Drizzle',
+    57: 'Freezing Drizzle',
+    61: 'Light Rain',
+    63: 'Rain',
+    65: 'Heavy Rain',
+    66: 'Light Freezing Rain',
+    67: 'Freezing Rain',
+    71: 'Light Snow',
+    73: 'Snow',
+    75: 'Heavy Snow',
+    77: 'Snow Grains',
+    80: 'Light Rain Showers',
+    81: 'Rain Showers',
+    82: 'Heavy Rain Showers',
+    85: 'Light Snow Showers',
+    86: 'Heavy Snow Showers',
+    95: 'Thunderstorm',
+    96: 'Thunderstorm With Hail',
+    99: 'Heavy Thunderstorm With Hail',
+};
+
+const currentFields = 'temperature_2m,relative_humidity_2m,dew_point_2m,weather_code,is_day,cloud_cover,pressure_msl,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index';
+const hourlyFields = 'temperature_2m,apparent_temperature,relative_humidity_2m,dew_point_2m,uv_index,precipitation_probability,weather_code,is_day,cloud_cover,wind_speed_10m,wind_direction_10m,visibility';
+const dailyFields = 'weather_code,temperature_2m_max,temperature_2m_min,sunrise,sunset,precipitation_probability_max,wind_speed_10m_max,wind_direction_10m_dominant,uv_index_max';
+
+function isConfigured() {
+    return true;
+}
+
+async function fetchForecast(lat, lon, { timeout, deadline, requestId } = {}) {
+    return fetchUpstreamJson(
+        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}`
+            + `&current=${currentFields}&minutely_15=precipitation&hourly=${hourlyFields}&daily=${dailyFields}`
+            + `&timezone=auto&timeformat=unixtime&wind_speed_unit=ms&forecast_days=8&forecast_hours=48&forecast_minutely_15=4`,
+        label,
+        { timeout, retries: 1, deadline, requestId }
+    );
+}
+
+function describe(code) {
+    return wmoDescriptions[safeParseInt(code)] || null;
+}
+
+// Open-Meteo columns are parallel arrays; zip one section into a list of rows
+function rows(block) {
+    const times = Array.isArray(block?.time) ? block.time : [];
+    return times.map((time, i) => {
+        const row = { time };
+        Object.keys(block).forEach((key) => { row[key] = block[key]?.[i]; });
+        return row;
+    });
+}
+
+// Open-Meteo reports °C, m/s (requested), meters and hPa
+function normalize(raw) {
+    const current = raw?.current;
+    const today = rows(raw?.daily)[0];
+    return {
+        source: name,
+        location: {
+            timezone: raw?.timezone || null,
+            timezone_offset: safeParseInt(raw?.utc_offset_seconds),
+            wfo: null,
+            radar: null,
+            zone: null,
+        },
+        current: current ? {
+            time: unixToIso(current.time),
+            temperature: celsiusToKelvin(current.temperature_2m),
+            dew_point: celsiusToKelvin(current.dew_point_2m),
+            humidity: safeParseInt(current.relative_humidity_2m),
+            wind_speed: safeParseFloat(current.wind_speed_10m),
+            wind_gust: safeParseFloat(current.wind_gusts_10m),
+            wind_direction: safeParseInt(current.wind_direction_10m),
+            uvi: safeParseFloat(current.uv_index),
+            condition: describe(current.weather_code),
+            wmo_code: safeParseInt(current.weather_code),
+            is_day: current.is_day != null ? Boolean(current.is_day) : null,
+            cloud_cover: safeParseInt(current.cloud_cover),
+            visibility: null,
+            pressure: safeParseFloat(current.pressure_msl),
+            sunrise: unixToIso(today?.sunrise),
+            sunset: unixToIso(today?.sunset),
+        } : null,
+        minutely: rows(raw?.minutely_15).map((step) => ({
+            time: unixToIso(step.time),
+            // 15-minute accumulation in mm; scale to a rate in mm/h like OWM
+            precipitation: step.precipitation != null ? safeParseFloat(step.precipitation * 4) : null,
+        })),
+        hourly: rows(raw?.hourly).map((hour) => ({
+            time: unixToIso(hour.time),
+            temperature: celsiusToKelvin(hour.temperature_2m),
+            feels_like: celsiusToKelvin(hour.apparent_temperature),
+            dew_point: celsiusToKelvin(hour.dew_point_2m),
+            humidity: safeParseInt(hour.relative_humidity_2m),
+            uvi: safeParseFloat(hour.uv_index),
+            wind_speed: safeParseFloat(hour.wind_speed_10m),
+            wind_direction: safeParseInt(hour.wind_direction_10m),
+            condition: describe(hour.weather_code),
+            wmo_code: safeParseInt(hour.weather_code),
+            is_day: hour.is_day != null ? Boolean(hour.is_day) : null,
+            cloud_cover: safeParseInt(hour.cloud_cover),
+            precipitation_probability: safeParseInt(hour.precipitation_probability),
+        })),
+        daily: rows(raw?.daily).map((day) => ({
+            // Daily times are local midnight; shift to local noon like OWM's daily `dt`
+            time: unixToIso(day.time + 12 * 3600),
+            sunrise: unixToIso(day.sunrise),
+            sunset: unixToIso(day.sunset),
+            high: celsiusToKelvin(day.temperature_2m_max),
+            low: celsiusToKelvin(day.temperature_2m_min),
+            uvi: safeParseFloat(day.uv_index_max),
+            wind_speed: safeParseFloat(day.wind_speed_10m_max),
+            wind_direction: safeParseInt(day.wind_direction_10m_dominant),
+            condition: describe(day.weather_code),
+            wmo_code: safeParseInt(day.weather_code),
+            precipitation_probability: safeParseInt(day.precipitation_probability_max),
+        })),
+        periods: [],
+    };
+}
+
+// Exports
+export { name, label, sections, isConfigured, fetchForecast, normalize };
@@ -0,0 +1,106 @@
+// OpenWeatherMap One Call 3.0 adapter
+// Fetches the global forecast and normalizes it into the shared forecast model
+
+import { fetchUpstreamJson } from '../upstream.js';
+import { safeParseInt, safeParseFloat, unixToIso } from '../utils.js';
+
+const name = 'owm';
+const label = 'OpenWeatherMap';
+
+// Response sections this source feeds
+const sections = ['current', 'minutely', 'hourly', 'daily'];
+
+// OWM needs an API key; without one this provider can not be used
+function isConfigured() {
+    return Boolean(process.env.OWM_API_KEY);
+}
+
+async function fetchForecast(lat, lon, { timeout, deadline, requestId } = {}) {
+    return fetchUpstreamJson(
+        `https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&appid=${process.env.OWM_API_KEY}`,
+        label,
+        // Sometimes OWM randomly fails. Try one more time if the deadline allows.
+        { timeout, retries: 1, deadline, requestId }
+    );
+}
+
+// OWM icons end in "d" by day and "n" by night (e.g. "10n")
+function isDay(weather) {
+    const icon = weather?.[0]?.icon;
+    return typeof icon === 'string' && /[dn]$/.test(icon) ? icon.endsWith('d') : null;
+}
+
+// OWM already reports Kelvin, m/s, meters and hPa
+function normalize(raw) {
+    const current = raw?.current;
+    return {
+        source: name,
+        location: {
+            timezone: raw?.timezone || null,
+            timezone_offset: safeParseInt(raw?.timezone_offset),
+            wfo: null,
+            radar: null,
+            zone: null,
+        },
+        current: current ? {
+            time: unixToIso(current.dt),
+            temperature: safeParseFloat(current.temp),
+            dew_point: safeParseFloat(current.dew_point),
+            humidity: safeParseInt(current.humidity),
+            wind_speed: safeParseFloat(current.wind_speed),
+            wind_gust: safeParseFloat(current.wind_gust),
+            wind_direction: safeParseInt(current.wind_deg),
+            uvi: safeParseFloat(current.uvi),
+            condition: current.weather?.[0]?.description || null,
+            owm_id: safeParseInt(current.weather?.[0]?.id),
+            is_day: isDay(current.weather),
+            cloud_cover: safeParseInt(current.clouds),
+            visibility: current.visibility != null ? safeParseFloat(current.visibility / 1000) : null, // m to km
+            pressure: safeParseFloat(current.pressure),
+            sunrise: unixToIso(current.sunrise),
+            sunset: unixToIso(current.sunset),
+        } : null,
+        minutely: (raw?.minutely || []).map((minute) => ({
+            time: unixToIso(minute?.dt),
+            precipitation: safeParseFloat(minute?.precipitation), // mm/h
+        })),
+        hourly: (raw?.hourly || []).map((hour) => ({
+            time: unixToIso(hour?.dt),
+            temperature: safeParseFloat(hour?.temp),
+            feels_like: safeParseFloat(hour?.feels_like),
+            dew_point: safeParseFloat(hour?.dew_point),
+            humidity: safeParseInt(hour?.humidity),
+            uvi: safeParseFloat(hour?.uvi),
+            wind_speed: safeParseFloat(hour?.wind_speed),
+            wind_direction: safeParseInt(hour?.wind_deg),
+            condition: hour?.weather?.[0]?.description || null,
+            owm_id: safeParseInt(hour?.weather?.[0]?.id),
+            is_day: isDay(hour?.weather),
+            cloud_cover: safeParseInt(hour?.clouds),
+            precipitation_probability: hour?.pop != null ? Math.round(hour.pop * 100) : null,
+        })),
+        daily: (raw?.daily || []).map((day) => ({
+            time: unixToIso(day?.dt),
+            sunrise: unixToIso(day?.sunrise),
+            sunset: unixToIso(day?.sunset),
+            moonrise: unixToIso(day?.moonrise),
+            moonset: unixToIso(day?.moonset),
+            moon_phase: safeParseFloat(day?.moon_phase),
+            high: safeParseFloat(day?.temp?.max),
+            low: safeParseFloat(day?.temp?.min),
+            feels_like: safeParseFloat(day?.feels_like?.day),
+            dew_point: safeParseFloat(day?.dew_point),
+            humidity: safeParseInt(day?.humidity),
+            uvi: safeParseFloat(day?.uvi),
+            wind_speed: safeParseFloat(day?.wind_speed),
+            wind_direction: safeParseInt(day?.wind_deg),
+            condition: day?.weather?.[0]?.description || null,
+            owm_id: safeParseInt(day?.weather?.[0]?.id),
+            precipitation_probability: day?.pop != null ? Math.round(day.pop * 100) : null,
+        })),
+        periods: [],
+    };
+}
+
+// Exports
+export { name, label, sections, isConfigured, fetchForecast, normalize };
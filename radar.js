@@ -0,0 +1,91 @@
+// This script handles nearest-radar lookups against the bundled table of WSR-88D and TDWR sites
+// Distances are great-circle distances in km (the internal SI unit), bearings are degrees true
+// from the point to the site.
+
+// Imports
+import { radarSites } from './radarsites.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+
+const radarTypes = ['WSR-88D', 'TDWR'];
+
+// Farthest a WSR-88D can be to serve as the default radar for a point (km); about the range of
+// its long-range reflectivity scan. Points farther away (outside US coverage) get no default radar.
+const maxRadarDistance = parseFloat(process.env.RADAR_MAX_DISTANCE) || 460;
+
+const earthRadius = 6371; // km
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+// Great-circle distance (km) with the haversine formula
+function distanceBetween(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial bearing (degrees true, 0-360) of the great circle from the first point to the second
+function bearingBetween(lat1, lon1, lat2, lon2) {
+    const dLon = toRadians(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// A site with its distance and bearing from the point
+function withDistance(site, lat, lon) {
+    return {
+        ...site,
+        distance: distanceBetween(lat, lon, site.latitude, site.longitude), // km
+        bearing: Math.round(bearingBetween(lat, lon, site.latitude, site.longitude)), // degrees
+    };
+}
+
+// Site by ID, also accepting the three letter form of a K-prefixed ID (e.g. LOT for KLOT)
+function radarSite(id) {
+    if (!id) return null;
+    const code = String(id).trim().toUpperCase();
+    return radarSites.find((site) => site.id === code || (code.length === 3 && site.id === `K${code}`)) || null;
+}
+
+// The `n` sites nearest to the point, closest first, optionally of one type
+function nearestRadarSites(lat, lon, { n = 1, type = null } = {}) {
+    return radarSites
+        .filter((site) => !type || site.type === type)
+        .map((site) => withDistance(site, lat, lon))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, n);
+}
+
+// Default radar for a point: the site NWS names for it (MapClick's `location.radar`) when there is one,
+// else the nearest WSR-88D within maxRadarDistance. Null when neither applies.
+function defaultRadar(lat, lon, nwsRadar = null) {
+    const named = radarSite(nwsRadar);
+    if (named) return { ...withDistance(named, lat, lon), source: 'nws' };
+    if (nwsRadar) {
+        // Not in the bundled table; keep the ID NWS gave
+        return { id: String(nwsRadar).toUpperCase(), name: null, type: null, latitude: null, longitude: null, elevation: null, distance: null, bearing: null, source: 'nws' };
+    }
+
+    const [nearest] = nearestRadarSites(lat, lon, { type: 'WSR-88D' });
+    if (!nearest || nearest.distance > maxRadarDistance) return null;
+    return { ...nearest, source: 'nearest' };
+}
+
+// Resolve the site query of /radar/sites (n=, type=); returns { n, type } or { error }
+function resolveRadarQuery(query, maxSites) {
+    const n = query.n === undefined ? 5 : Number(query.n);
+    if (!Number.isInteger(n) || n < 1 || n > maxSites) {
+        return { error: `Invalid n "${query.n}", expected a whole number from 1 to ${maxSites}` };
+    }
+    let type = null;
+    if (query.type !== undefined) {
+        type = radarTypes.find((name) => name.toLowerCase() === String(query.type).toLowerCase()) || null;
+        if (!type) return { error: `Invalid type "${query.type}", expected one of: ${radarTypes.join(', ')}` };
+    }
+    return { n, type };
+}
+
+// Exports
+export { radarTypes, radarSites, radarSite, nearestRadarSites, defaultRadar, resolveRadarQuery };
@@ -0,0 +1,220 @@
+// This script holds the table of weather radar sites used for nearest-radar lookups:
+// the WSR-88D (NEXRAD) network, including the DoD and FAA sites, and the FAA TDWR network.
+// Rows are [ID, name, latitude, longitude, elevation (m above sea level)].
+
+const wsr88dSites = [
+    ['KABR', 'Aberdeen, SD', 45.456, -98.413, 397],
+    ['KABX', 'Albuquerque, NM', 35.150, -106.824, 1789],
+    ['KAKQ', 'Wakefield, VA', 36.984, -77.007, 34],
+    ['KAMA', 'Amarillo, TX', 35.233, -101.709, 1093],
+    ['KAMX', 'Miami, FL', 25.611, -80.413, 4],
+    ['KAPX', 'Gaylord, MI', 44.907, -84.720, 446],
+    ['KARX', 'La Crosse, WI', 43.823, -91.191, 389],
+    ['KATX', 'Seattle, WA', 48.195, -122.496, 151],
+    ['KBBX', 'Beale AFB, CA', 39.496, -121.632, 53],
+    ['KBGM', 'Binghamton, NY', 42.200, -75.985, 490],
+    ['KBHX', 'Eureka, CA', 40.498, -124.292, 732],
+    ['KBIS', 'Bismarck, ND', 46.771, -100.760, 505],
+    ['KBLX', 'Billings, MT', 45.854, -108.607, 1097],
+    ['KBMX', 'Birmingham, AL', 33.172, -86.770, 197],
+    ['KBOX', 'Boston, MA', 41.956, -71.137, 36],
+    ['KBRO', 'Brownsville, TX', 25.916, -97.419, 7],
+    ['KBUF', 'Buffalo, NY', 42.949, -78.737, 211],
+    ['KBYX', 'Key West, FL', 24.597, -81.703, 2],
+    ['KCAE', 'Columbia, SC', 33.949, -81.118, 70],
+    ['KCBW', 'Caribou, ME', 46.039, -67.806, 227],
+    ['KCBX', 'Boise, ID', 43.491, -116.236, 933],
+    ['KCCX', 'State College, PA', 40.923, -78.004, 733],
+    ['KCLE', 'Cleveland, OH', 41.413, -81.860, 233],
+    ['KCLX', 'Charleston, SC', 32.656, -81.042, 30],
+    ['KCRP', 'Corpus Christi, TX', 27.784, -97.511, 14],
+    ['KCXX', 'Burlington, VT', 44.511, -73.167, 97],
+    ['KCYS', 'Cheyenne, WY', 41.152, -104.806, 1868],
+    ['KDAX', 'Sacramento, CA', 38.501, -121.678, 9],
+    ['KDDC', 'Dodge City, KS', 37.761, -99.969, 789],
+    ['KDFX', 'Laughlin AFB, TX', 29.273, -100.281, 345],
+    ['KDGX', 'Jackson/Brandon, MS', 32.280, -89.984, 151],
+    ['KDIX', 'Philadelphia, PA', 39.947, -74.411, 45],
+    ['KDLH', 'Duluth, MN', 46.837, -92.210, 435],
+    ['KDMX', 'Des Moines, IA', 41.731, -93.723, 299],
+    ['KDOX', 'Dover AFB, DE', 38.826, -75.440, 15],
+    ['KDTX', 'Detroit, MI', 42.700, -83.472, 327],
+    ['KDVN', 'Davenport, IA', 41.612, -90.581, 230],
+    ['KDYX', 'Dyess AFB, TX', 32.538, -99.254, 462],
+    ['KEAX', 'Kansas City, MO', 38.810, -94.264, 303],
+    ['KEMX', 'Tucson, AZ', 31.894, -110.630, 1586],
+    ['KENX', 'Albany, NY', 42.586, -74.064, 557],
+    ['KEOX', 'Fort Rucker, AL', 31.460, -85.459, 132],
+    ['KEPZ', 'El Paso, TX', 31.873, -106.698, 1251],
+    ['KESX', 'Las Vegas, NV', 35.701, -114.891, 1483],
+    ['KEVX', 'Eglin AFB, FL', 30.565, -85.922, 43],
+    ['KEWX', 'Austin/San Antonio, TX', 29.704, -98.029, 193],
+    ['KEYX', 'Edwards AFB, CA', 35.098, -117.561, 840],
+    ['KFCX', 'Blacksburg, VA', 37.024, -80.274, 874],
+    ['KFDR', 'Altus AFB, OK', 34.362, -98.976, 386],
+    ['KFDX', 'Cannon AFB, NM', 34.635, -103.630, 1417],
+    ['KFFC', 'Atlanta, GA', 33.364, -84.566, 262],
+    ['KFSD', 'Sioux Falls, SD', 43.588, -96.729, 436],
+    ['KFSX', 'Flagstaff, AZ', 34.574, -111.198, 2261],
+    ['KFTG', 'Denver, CO', 39.787, -104.546, 1675],
+    ['KFWS', 'Dallas/Fort Worth, TX', 32.573, -97.303, 208],
+    ['KGGW', 'Glasgow, MT', 48.206, -106.625, 694],
+    ['KGJX', 'Grand Junction, CO', 39.062, -108.214, 3046],
+    ['KGLD', 'Goodland, KS', 39.367, -101.700, 1113],
+    ['KGRB', 'Green Bay, WI', 44.498, -88.111, 208],
+    ['KGRK', 'Fort Hood, TX', 30.722, -97.383, 164],
+    ['KGRR', 'Grand Rapids, MI', 42.894, -85.545, 237],
+    ['KGSP', 'Greer, SC', 34.883, -82.220, 287],
+    ['KGWX', 'Columbus AFB, MS', 33.897, -88.329, 145],
+    ['KGYX', 'Portland, ME', 43.891, -70.257, 125],
+    ['KHDX', 'Holloman AFB, NM', 33.077, -106.120, 1287],
+    ['KHGX', 'Houston/Galveston, TX', 29.472, -95.079, 5],
+    ['KHNX', 'San Joaquin Valley, CA', 36.314, -119.632, 75],
+    ['KHPX', 'Fort Campbell, KY', 36.737, -87.285, 176],
+    ['KHTX', 'Huntsville, AL', 34.931, -86.084, 537],
+    ['KICT', 'Wichita, KS', 37.655, -97.443, 407],
+    ['KICX', 'Cedar City, UT', 37.591, -112.862, 3231],
+    ['KILN', 'Wilmington, OH', 39.420, -83.822, 322],
+    ['KILX', 'Lincoln, IL', 40.151, -89.337, 177],
+    ['KIND', 'Indianapolis, IN', 39.708, -86.280, 241],
+    ['KINX', 'Tulsa, OK', 36.175, -95.565, 204],
+    ['KIWA', 'Phoenix, AZ', 33.289, -111.670, 412],
+    ['KIWX', 'Northern Indiana, IN', 41.359, -85.700, 293],
+    ['KJAX', 'Jacksonville, FL', 30.485, -81.702, 10],
+    ['KJGX', 'Robins AFB, GA', 32.675, -83.351, 159],
+    ['KJKL', 'Jackson, KY', 37.591, -83.313, 415],
+    ['KLBB', 'Lubbock, TX', 33.654, -101.814, 993],
+    ['KLCH', 'Lake Charles, LA', 30.125, -93.216, 4],
+    ['KLGX', 'Langley Hill, WA', 47.117, -124.107, 78],
+    ['KLIX', 'New Orleans, LA', 30.337, -89.826, 7],
+    ['KLNX', 'North Platte, NE', 41.958, -100.576, 905],
+    ['KLOT', 'Chicago, IL', 41.605, -88.085, 202],
+    ['KLRX', 'Elko, NV', 40.740, -116.803, 2056],
+    ['KLSX', 'St. Louis, MO', 38.699, -90.683, 185],
+    ['KLTX', 'Wilmington, NC', 33.989, -78.429, 20],
+    ['KLVX', 'Louisville, KY', 37.975, -85.944, 219],
+    ['KLWX', 'Sterling, VA', 38.975, -77.478, 83],
+    ['KLZK', 'Little Rock, AR', 34.836, -92.262, 173],
+    ['KMAF', 'Midland/Odessa, TX', 31.943, -102.189, 874],
+    ['KMAX', 'Medford, OR', 42.081, -122.717, 2290],
+    ['KMBX', 'Minot AFB, ND', 48.393, -100.864, 455],
+    ['KMHX', 'Morehead City, NC', 34.776, -76.876, 9],
+    ['KMKX', 'Milwaukee, WI', 42.968, -88.551, 292],
+    ['KMLB', 'Melbourne, FL', 28.113, -80.654, 11],
+    ['KMOB', 'Mobile, AL', 30.679, -88.240, 63],
+    ['KMPX', 'Minneapolis, MN', 44.849, -93.566, 288],
+    ['KMQT', 'Marquette, MI', 46.531, -87.548, 430],
+    ['KMRX', 'Morristown, TN', 36.169, -83.402, 408],
+    ['KMSX', 'Missoula, MT', 47.041, -113.986, 2394],
+    ['KMTX', 'Salt Lake City, UT', 41.263, -112.448, 1969],
+    ['KMUX', 'San Francisco, CA', 37.155, -121.898, 1057],
+    ['KMVX', 'Grand Forks, ND', 47.528, -97.325, 301],
+    ['KMXX', 'Maxwell AFB, AL', 32.537, -85.790, 122],
+    ['KNKX', 'San Diego, CA', 32.919, -117.042, 291],
+    ['KNQA', 'Memphis, TN', 35.345, -89.873, 86],
+    ['KOAX', 'Omaha, NE', 41.320, -96.367, 350],
+    ['KOHX', 'Nashville, TN', 36.247, -86.563, 176],
+    ['KOKX', 'New York City, NY', 40.866, -72.864, 26],
+    ['KOTX', 'Spokane, WA', 47.680, -117.627, 728],
+    ['KPAH', 'Paducah, KY', 37.068, -88.772, 119],
+    ['KPBZ', 'Pittsburgh, PA', 40.532, -80.218, 361],
+    ['KPDT', 'Pendleton, OR', 45.691, -118.853, 462],
+    ['KPOE', 'Fort Polk, LA', 31.156, -92.976, 124],
+    ['KPUX', 'Pueblo, CO', 38.460, -104.181, 1600],
+    ['KRAX', 'Raleigh/Durham, NC', 35.665, -78.490, 106],
+    ['KRGX', 'Reno, NV', 39.754, -119.462, 2530],
+    ['KRIW', 'Riverton, WY', 43.066, -108.477, 1697],
+    ['KRLX', 'Charleston, WV', 38.311, -81.723, 329],
+    ['KRTX', 'Portland, OR', 45.715, -122.965, 479],
+    ['KSFX', 'Pocatello/Idaho Falls, ID', 43.106, -112.686, 1364],
+    ['KSGF', 'Springfield, MO', 37.235, -93.400, 390],
+    ['KSHV', 'Shreveport, LA', 32.451, -93.841, 83],
+    ['KSJT', 'San Angelo, TX', 31.371, -100.492, 576],
+    ['KSOX', 'Santa Ana Mountains, CA', 33.818, -117.636, 923],
+    ['KSRX', 'Fort Smith, AR', 35.290, -94.362, 195],
+    ['KTBW', 'Tampa Bay, FL', 27.705, -82.402, 12],
+    ['KTFX', 'Great Falls, MT', 47.460, -111.385, 1132],
+    ['KTLH', 'Tallahassee, FL', 30.398, -84.329, 19],
+    ['KTLX', 'Oklahoma City, OK', 35.333, -97.278, 370],
+    ['KTWX', 'Topeka, KS', 38.997, -96.232, 417],
+    ['KTYX', 'Montague, NY', 43.756, -75.680, 563],
+    ['KUDX', 'Rapid City, SD', 44.125, -102.830, 919],
+    ['KUEX', 'Hastings, NE', 40.321, -98.442, 602],
+    ['KVAX', 'Moody AFB, GA', 30.890, -83.002, 54],
+    ['KVBX', 'Vandenberg AFB, CA', 34.838, -120.398, 376],
+    ['KVNX', 'Vance AFB, OK', 36.741, -98.128, 369],
+    ['KVTX', 'Los Angeles, CA', 34.412, -119.179, 831],
+    ['KVWX', 'Evansville, IN', 38.260, -87.725, 190],
+    ['KYUX', 'Yuma, AZ', 32.495, -114.657, 53],
+    ['PABC', 'Bethel, AK', 60.792, -161.876, 49],
+    ['PACG', 'Sitka, AK', 56.853, -135.529, 63],
+    ['PAEC', 'Nome, AK', 64.511, -165.295, 16],
+    ['PAHG', 'Anchorage, AK', 60.726, -151.351, 74],
+    ['PAIH', 'Middleton Island, AK', 59.461, -146.303, 20],
+    ['PAKC', 'King Salmon, AK', 58.679, -156.629, 19],
+    ['PAPD', 'Fairbanks, AK', 65.035, -147.502, 790],
+    ['PHKI', 'South Kauai, HI', 21.894, -159.552, 55],
+    ['PHKM', 'Kohala, HI', 20.125, -155.778, 1162],
+    ['PHMO', 'Molokai, HI', 21.133, -157.180, 415],
+    ['PHWA', 'South Shore, HI', 19.095, -155.569, 421],
+    ['TJUA', 'San Juan, PR', 18.116, -66.078, 852],
+    ['PGUA', 'Andersen AFB, Guam', 13.456, 144.811, 80],
+    ['RKJK', 'Kunsan AB, South Korea', 35.924, 126.622, 22],
+    ['RKSG', 'Camp Humphreys, South Korea', 36.956, 127.021, 16],
+    ['RODN', 'Kadena AB, Japan', 26.302, 127.910, 66],
+];
+
+const tdwrSites = [
+    ['TADW', 'Andrews AFB, MD', 38.695, -76.845, 106],
+    ['TATL', 'Atlanta, GA', 33.647, -84.262, 286],
+    ['TBNA', 'Nashville, TN', 35.980, -86.662, 223],
+    ['TBOS', 'Boston, MA', 42.158, -70.933, 60],
+    ['TBWI', 'Baltimore/Washington, MD', 39.090, -76.630, 73],
+    ['TCLT', 'Charlotte, NC', 35.337, -80.885, 233],
+    ['TCMH', 'Columbus, OH', 40.006, -82.715, 316],
+    ['TCVG', 'Cincinnati/Covington, KY', 38.898, -84.580, 290],
+    ['TDAL', 'Dallas Love Field, TX', 32.926, -96.968, 166],
+    ['TDAY', 'Dayton, OH', 40.022, -84.123, 321],
+    ['TDCA', 'Washington National, DC', 38.759, -76.962, 99],
+    ['TDEN', 'Denver, CO', 39.728, -104.526, 1710],
+    ['TDFW', 'Dallas/Fort Worth, TX', 33.065, -96.918, 184],
+    ['TDTW', 'Detroit, MI', 42.111, -83.515, 204],
+    ['TEWR', 'Newark, NJ', 40.593, -74.270, 18],
+    ['TFLL', 'Fort Lauderdale, FL', 26.143, -80.344, 5],
+    ['THOU', 'Houston Hobby, TX', 29.516, -95.242, 14],
+    ['TIAD', 'Washington Dulles, VA', 39.084, -77.529, 105],
+    ['TIAH', 'Houston Intercontinental, TX', 30.065, -95.567, 46],
+    ['TICH', 'Wichita, KS', 37.507, -97.437, 405],
+    ['TIDS', 'Indianapolis, IN', 39.637, -86.436, 241],
+    ['TJFK', 'New York JFK, NY', 40.589, -73.881, 7],
+    ['TLAS', 'Las Vegas, NV', 36.144, -115.007, 646],
+    ['TLVE', 'Cleveland, OH', 41.290, -82.008, 266],
+    ['TMCI', 'Kansas City, MO', 39.498, -94.742, 317],
+    ['TMCO', 'Orlando, FL', 28.344, -81.326, 22],
+    ['TMDW', 'Chicago Midway, IL', 41.651, -87.730, 204],
+    ['TMEM', 'Memphis, TN', 34.896, -89.993, 111],
+    ['TMIA', 'Miami, FL', 25.758, -80.491, 4],
+    ['TMKE', 'Milwaukee, WI', 42.819, -88.046, 239],
+    ['TMSP', 'Minneapolis, MN', 44.871, -92.933, 287],
+    ['TMSY', 'New Orleans, LA', 30.022, -90.403, 1],
+    ['TOKC', 'Oklahoma City, OK', 35.276, -97.510, 370],
+    ['TORD', "Chicago O'Hare, IL", 41.797, -87.858, 198],
+    ['TPBI', 'West Palm Beach, FL', 26.688, -80.273, 6],
+    ['TPHL', 'Philadelphia, PA', 39.949, -75.069, 8],
+    ['TPHX', 'Phoenix, AZ', 33.421, -112.163, 311],
+    ['TPIT', 'Pittsburgh, PA', 40.501, -80.486, 353],
+    ['TRDU', 'Raleigh/Durham, NC', 36.002, -78.697, 122],
+    ['TSDF', 'Louisville, KY', 38.046, -85.610, 188],
+    ['TSJU', 'San Juan, PR', 18.474, -66.179, 15],
+    ['TSLC', 'Salt Lake City, UT', 40.967, -111.930, 1288],
+    ['TSTL', 'St. Louis, MO', 38.805, -90.489, 169],
+    ['TTPA', 'Tampa, FL', 27.860, -82.518, 4],
+    ['TTUL', 'Tulsa, OK', 36.071, -95.827, 229],
+];
+
+const toSite = (type) => ([id, name, latitude, longitude, elevation]) => ({ id, name, type, latitude, longitude, elevation });
+
+const radarSites = [...wsr88dSites.map(toSite('WSR-88D')), ...tdwrSites.map(toSite('TDWR'))];
+
+// Exports
+export { radarSites };
@@ -0,0 +1,92 @@
+// This script runs the background jobs (SPC and MCD refreshes, subscription checks, ...)
+// A job's next run is only scheduled once its current run finishes, so runs never overlap.
+// After a failure the job is retried sooner, backing off exponentially up to its normal interval.
+
+// Imports
+import { logMessage } from './logging.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// Delay (ms) before the first retry of a failed job; doubles with each further failure
+const retryDelay = 30 * 1000;
+
+// Random spread (fraction of the delay) added to retries so failing jobs do not retry in lockstep
+const retryJitter = 0.2;
+
+const jobs = new Map();
+let stopped = false;
+
+function scheduleNext(job, delay) {
+    if (stopped) return;
+    clearTimeout(job.timer);
+    job.next_run = Date.now() + delay;
+    job.timer = setTimeout(() => runJob(job), delay);
+}
+
+async function runJob(job) {
+    if (job.running || stopped) return;
+    job.running = true;
+    job.last_run = Date.now();
+    try {
+        await job.run();
+        job.last_success = Date.now();
+        job.failures = 0;
+        job.last_error = null;
+    } catch (err) {
+        job.last_failure = Date.now();
+        job.failures++;
+        job.last_error = err.message;
+        logMessage(`Job ${job.name} failed (${job.failures} in a row): ${err.message}`, 'warn', loglevel);
+    } finally {
+        job.running = false;
+    }
+
+    let delay = job.interval;
+    if (job.failures > 0) {
+        const backoff = Math.min(job.interval, retryDelay * Math.pow(2, job.failures - 1));
+        delay = Math.round(backoff * (1 + (Math.random() * 2 - 1) * retryJitter));
+    }
+    scheduleNext(job, delay);
+}
+
+// Run `run` every `interval` ms, starting right away unless `immediate` is false.
+// A run fails when `run` throws or rejects.
+function scheduleJob(name, interval, run, { immediate = true } = {}) {
+    const job = {
+        name, interval, run,
+        timer: null, running: false, failures: 0,
+        last_run: null, last_success: null, last_failure: null, last_error: null, next_run: null,
+    };
+    jobs.set(name, job);
+    scheduleNext(job, immediate ? 0 : interval);
+    return job;
+}
+
+// State of every job, with times as ISO strings
+function jobStates() {
+    const iso = (time) => time ? new Date(time).toISOString() : null;
+    const states = {};
+    jobs.forEach((job) => {
+        states[job.name] = {
+            interval: job.interval / 1000,
+            running: job.running,
+            failures: job.failures,
+            last_run: iso(job.last_run),
+            last_success: iso(job.last_success),
+            last_failure: iso(job.last_failure),
+            last_error: job.last_error,
+            next_run: job.running || stopped ? null : iso(job.next_run),
+        };
+    });
+    return states;
+}
+
+// Clear every job's timer; runs in progress finish but are not rescheduled
+function stopJobs() {
+    stopped = true;
+    jobs.forEach((job) => clearTimeout(job.timer));
+}
+
+// Exports
+export { scheduleJob, jobStates, stopJobs };
@@ -0,0 +1,45 @@
+// This script computes sunrise and sunset locally (NOAA sunrise equation)
+// so they are available when no forecast provider reports them
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+const julianToIso = (julian) => new Date((julian - 2440587.5) * 86400000).toISOString();
+
+// Sunrise and sunset (ISO, UTC) for the local calendar date `date` ("YYYY-MM-DD") at lat/lon.
+// Returns nulls during polar day or night.
+function sunTimes(lat, lon, date) {
+    const noon = Date.parse(`${date}T12:00:00Z`);
+    if (isNaN(noon) || isNaN(lat) || isNaN(lon)) {
+        return { sunrise: null, sunset: null };
+    }
+
+    // Days since J2000.0, then mean solar noon at this longitude (east positive)
+    const n = Math.round(noon / 86400000 + 2440587.5 - 2451545.0 + 0.0008);
+    const meanNoon = n - lon / 360;
+
+    const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const center = 1.9148 * Math.sin(toRadians(anomaly))
+        + 0.02 * Math.sin(toRadians(2 * anomaly))
+        + 0.0003 * Math.sin(toRadians(3 * anomaly));
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanNoon
+        + 0.0053 * Math.sin(toRadians(anomaly))
+        - 0.0069 * Math.sin(toRadians(2 * eclipticLongitude));
+
+    const declination = Math.asin(Math.sin(toRadians(eclipticLongitude)) * Math.sin(toRadians(23.4397)));
+    const cosHourAngle = (Math.sin(toRadians(-0.833)) - Math.sin(toRadians(lat)) * Math.sin(declination))
+        / (Math.cos(toRadians(lat)) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { sunrise: null, sunset: null };
+    }
+
+    const hourAngle = toDegrees(Math.acos(cosHourAngle));
+    return {
+        sunrise: julianToIso(transit - hourAngle / 360),
+        sunset: julianToIso(transit + hourAngle / 360),
+    };
+}
+
+// Exports
+export { sunTimes };
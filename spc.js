@@ -0,0 +1,248 @@
+// This script handles the SPC convective outlook and mesoscale discussion (MCD) caches
+// Products are refreshed in the background, held in memory and persisted to CACHE_DIR so a restart
+// starts from the last good copy. A failed fetch keeps the previous copy of that product.
+
+// Imports
+import { logMessage } from './logging.js';
+import { trackUpstream } from './metrics.js';
+import { indexCollection } from './geoindex.js';
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// Directory the cache files are saved in
+const cacheDir = process.env.CACHE_DIR || '.';
+const spcCacheFile = path.join(cacheDir, 'spc_cache.json');
+const mcdCacheFile = path.join(cacheDir, 'mcd_cache.json');
+
+// Minutes after a product's fetch time when it is reported STALE, and when it is EXPIRED.
+// Outlooks also expire at their own EXPIRE time.
+const thresholds = {
+    spc: {
+        stale: (parseFloat(process.env.SPC_STALE_MINUTES) || 90) * 60 * 1000,
+        expired: (parseFloat(process.env.SPC_EXPIRE_MINUTES) || 24 * 60) * 60 * 1000,
+    },
+    mcd: {
+        stale: (parseFloat(process.env.MCD_STALE_MINUTES) || 15) * 60 * 1000,
+        expired: (parseFloat(process.env.MCD_EXPIRE_MINUTES) || 60) * 60 * 1000,
+    },
+};
+
+const outlookUrls = {
+    day1: 'https://www.spc.noaa.gov/products/outlook/day1otlk_cat.nolyr.geojson',
+    day2: 'https://www.spc.noaa.gov/products/outlook/day2otlk_cat.nolyr.geojson',
+    day3: 'https://www.spc.noaa.gov/products/outlook/day3otlk_cat.nolyr.geojson',
+};
+
+// Last good copy of each product: { data, fetched, valid, expire }
+const products = { day1: null, day2: null, day3: null, mcd: null };
+
+// Helper to safely fetch SPC outlook JSON with content-type and timeout checks
+// Timeout set to 10 seconds because it is run in the background
+async function fetchSpcOutlook(url, label) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        clearTimeout(timeout);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+
+        const contentType = response.headers.get('content-type')?.toLowerCase() || '';
+        const bodyText = await response.text();
+
+        if (!contentType.includes('application/json') && !contentType.includes('application/geo+json')) {
+            throw new Error(`Unexpected content-type ${contentType || 'unknown'}; body starts with "${bodyText.slice(0, 80)}"`);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(bodyText);
+        } catch (parseErr) {
+            throw new Error(`Invalid JSON: ${parseErr.message}; body starts with "${bodyText.slice(0, 80)}"`);
+        }
+
+        return { data: parsed, status: 'OK' };
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            logMessage(`SPC outlook fetch timeout (${label}): request exceeded 5 seconds`, 'warn', loglevel);
+            return { data: null, status: 'FETCH TIMEOUT' };
+        }
+        logMessage(`Error fetching SPC outlook (${label}): ${err.message}`, 'error', loglevel);
+        return { data: null, status: 'FETCH ERROR' };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Fetch SPC Mesoscale Discussions from ArcGIS MapServer
+async function fetchSpcMesoscaleDiscussions() {
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+
+    try {
+        const response = await fetch(`https://mapservices.weather.noaa.gov/vector/rest/services/outlooks/spc_mesoscale_discussion/MapServer/0/query?where=1%3D1&outFields=*&f=geojson&returnGeometry=true`, { signal: controller.signal });
+        clearTimeout(timeout);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return { data, status: 'OK' };
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            logMessage(`SPC MCD fetch timeout: request exceeded 10 seconds`, 'warn', loglevel);
+            return { data: null, status: 'FETCH TIMEOUT' };
+        }
+        logMessage(`Error fetching SPC Mesoscale Discussions: ${err.message}`, 'error', loglevel);
+        return { data: null, status: 'FETCH ERROR' };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Convert an SPC time (YYYYMMDDHHMM, UTC) to ISO
+function spcTime(stamp) {
+    const [, yyyy, mm, dd, hh, mi] = String(stamp || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/) || [];
+    if (!yyyy) return null;
+    return new Date(Date.UTC(parseInt(yyyy, 10), parseInt(mm, 10) - 1, parseInt(dd, 10), parseInt(hh, 10), parseInt(mi, 10))).toISOString();
+}
+
+// Product record for freshly fetched data; outlooks carry their valid period on every feature.
+// The polygons are indexed now so requests never pay for it.
+function productRecord(data, fetched) {
+    indexCollection(data);
+    const properties = data?.features?.find((feature) => feature?.properties?.VALID)?.properties;
+    return {
+        data: data,
+        fetched: fetched,
+        valid: spcTime(properties?.VALID),
+        expire: spcTime(properties?.EXPIRE),
+    };
+}
+
+// Read a cache file, returning null when it is missing or unreadable
+function readCacheFile(cacheFile) {
+    try {
+        if (fs.existsSync(cacheFile)) {
+            return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        }
+    } catch (err) {
+        logMessage(`Error reading ${cacheFile}: ${err.message}`, 'warn', loglevel);
+    }
+    return null;
+}
+
+// Save a cache file, writing a temporary file first so a crash can not leave a partial file
+async function writeCacheFile(cacheFile, content) {
+    try {
+        const tmpFile = `${cacheFile}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(content), 'utf8');
+        await fs.promises.rename(tmpFile, cacheFile);
+        logMessage(`Saved ${cacheFile}`, 'debug', loglevel);
+    } catch (err) {
+        logMessage(`Error writing ${cacheFile}: ${err.message}`, 'error', loglevel);
+    }
+}
+
+// Load the products saved by a previous run.
+// Files from older versions hold the bare GeoJSON with one lastUpdated time for all products.
+function loadProductCaches() {
+    try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+    } catch (err) {
+        logMessage(`Error creating cache directory ${cacheDir}: ${err.message}`, 'error', loglevel);
+    }
+
+    const spc = readCacheFile(spcCacheFile);
+    Object.keys(outlookUrls).forEach((day) => {
+        const saved = spc?.[day];
+        if (saved?.type === 'FeatureCollection') {
+            products[day] = productRecord(saved, spc.lastUpdated || null);
+        } else if (saved?.data) {
+            indexCollection(saved.data);
+            products[day] = saved;
+        }
+    });
+
+    const mcd = readCacheFile(mcdCacheFile);
+    if (mcd?.data) {
+        products.mcd = productRecord(mcd.data, mcd.fetched || mcd.lastUpdated || null);
+    }
+}
+
+// Update the SPC outlooks, keeping the last good copy of any outlook that fails to fetch.
+// Throws after saving the others if any outlook failed, so the scheduler retries.
+async function updateSpcCache() {
+    logMessage(`Updating SPC cache...`, 'debug', loglevel);
+    const results = await Promise.all(Object.entries(outlookUrls).map(([day, url]) =>
+        trackUpstream('SPC outlook', fetchSpcOutlook(url, day))
+    ));
+
+    const failed = [];
+    Object.keys(outlookUrls).forEach((day, i) => {
+        if (results[i].status === 'OK' && results[i].data) {
+            products[day] = productRecord(results[i].data, new Date().toISOString());
+        } else {
+            logMessage(`SPC ${day} outlook update failed with status: ${results[i].status}, keeping the cached copy`, 'warn', loglevel);
+            failed.push(`${day} ${results[i].status}`);
+        }
+    });
+
+    if (failed.length < results.length) {
+        await writeCacheFile(spcCacheFile, { day1: products.day1, day2: products.day2, day3: products.day3 });
+    }
+    if (failed.length > 0) {
+        throw new Error(`SPC outlook update failed: ${failed.join(', ')}`);
+    }
+}
+
+// Update the mesoscale discussions, keeping the last good copy on failure (and throwing)
+async function updateMcdCache() {
+    logMessage(`Updating MCD cache...`, 'debug', loglevel);
+    const result = await trackUpstream('SPC MCD', fetchSpcMesoscaleDiscussions());
+    if (result.status !== 'OK') {
+        throw new Error(`MCD cache update failed with status: ${result.status}`);
+    }
+    products.mcd = productRecord(result.data, new Date().toISOString());
+    await writeCacheFile(mcdCacheFile, { data: products.mcd.data, fetched: products.mcd.fetched });
+}
+
+// Status of a cached product: CACHED, STALE past its stale threshold, EXPIRED past its EXPIRE time
+// or expiry threshold, or NOT AVAILABLE when it was never fetched
+function productStatus(name) {
+    const product = products[name];
+    if (!product?.data) return "NOT AVAILABLE";
+
+    const limits = name === 'mcd' ? thresholds.mcd : thresholds.spc;
+    const age = product.fetched ? Date.now() - Date.parse(product.fetched) : Infinity;
+    if ((product.expire && Date.now() >= Date.parse(product.expire)) || age > limits.expired) return "EXPIRED";
+    if (age > limits.stale) return "STALE";
+    return "CACHED";
+}
+
+// A cached product (day1, day2, day3 or mcd) with its status and age (seconds).
+// `data` is null unless the product is CACHED or STALE, so expired data is never served.
+function getProduct(name) {
+    const product = products[name];
+    const status = productStatus(name);
+    return {
+        data: status === "CACHED" || status === "STALE" ? product.data : null,
+        status: status,
+        fetched: product?.fetched || null,
+        valid: product?.valid || null,
+        expire: product?.expire || null,
+        age: product?.fetched ? Math.round((Date.now() - Date.parse(product.fetched)) / 1000) : null,
+    };
+}
+
+// Exports
+export { loadProductCaches, updateSpcCache, updateMcdCache, getProduct };
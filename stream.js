@@ -0,0 +1,133 @@
+// This script handles Server-Sent Events streams of live alert, MCD and SPC updates for a point
+// Clients watching the same point share one channel, whose recent events are kept for resuming
+
+// Imports
+import { logMessage } from './logging.js';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// Event types pushed to clients
+const streamTypes = ['alert', 'mcd', 'spc'];
+
+// Interval (ms) between heartbeat comments that keep idle connections open
+const heartbeatInterval = 25 * 1000;
+
+// Events kept per channel for Last-Event-ID resume, and how long a channel outlives its last client
+const historyLength = 100;
+const channelRetention = 10 * 60 * 1000;
+
+const channels = new Map();
+let lastEventId = 0;
+let heartbeatTimer = null;
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Record and send an event to a channel if its data changed since the last event of that type
+function publish(channel, type, data) {
+    const serialized = JSON.stringify(data);
+    if (channel.last[type]?.serialized === serialized) return;
+
+    const event = { id: ++lastEventId, type, data };
+    channel.last[type] = { event, serialized };
+    channel.history.push(event);
+    if (channel.history.length > historyLength) {
+        channel.history.shift();
+    }
+    channel.clients.forEach((res) => writeEvent(res, event));
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        channels.forEach((channel) => channel.clients.forEach((res) => res.write(`: heartbeat\n\n`)));
+    }, heartbeatInterval);
+    heartbeatTimer.unref();
+}
+
+// Open a stream for `point` ([lon, lat]) on an Express response.
+// `snapshot(point)` resolves to { alert, mcd, spc } with the current data for a new channel.
+// With a Last-Event-ID still in the channel history only the missed events are replayed,
+// otherwise (including ids from before a restart) the latest event of each type is sent.
+async function openStream(req, res, point, snapshot) {
+    const key = point.map((value) => value.toFixed(4)).join(',');
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    let channel = channels.get(key);
+    if (!channel) {
+        channel = { key, point, clients: new Set(), last: {}, history: [], expiry: null };
+        channels.set(key, channel);
+    }
+    clearTimeout(channel.expiry);
+
+    req.on('close', () => {
+        channel.clients.delete(res);
+        logMessage(`Stream closed for ${key} (${channel.clients.size} clients)`, 'debug', loglevel, { request_id: req.id });
+        if (channel.clients.size === 0) {
+            clearTimeout(channel.expiry);
+            channel.expiry = setTimeout(() => channels.delete(key), channelRetention);
+            channel.expiry.unref();
+        }
+    });
+
+    if (channel.history.length === 0) {
+        // A type whose data could not be fetched (null) is left out until its next update
+        const initial = await snapshot(point);
+        streamTypes.forEach((type) => {
+            if (initial[type] !== null && initial[type] !== undefined) publish(channel, type, initial[type]);
+        });
+    }
+    if (res.destroyed) return;
+
+    // Ids restart at 1 with the process, so an id above the last one sent comes from before a restart
+    const resumeFrom = parseInt(req.get('Last-Event-ID'), 10);
+    const oldest = channel.history[0]?.id;
+    if (!isNaN(resumeFrom) && oldest !== undefined && resumeFrom >= oldest - 1 && resumeFrom <= lastEventId) {
+        channel.history.filter((event) => event.id > resumeFrom).forEach((event) => writeEvent(res, event));
+    } else {
+        Object.values(channel.last).map(({ event }) => event).sort((a, b) => a.id - b.id).forEach((event) => writeEvent(res, event));
+    }
+
+    channel.clients.add(res);
+    startHeartbeat();
+    clearTimeout(channel.expiry);
+    logMessage(`Stream opened for ${key} (${channel.clients.size} clients)`, 'debug', loglevel, { request_id: req.id });
+}
+
+// Recompute one event type for every channel with `compute(point)` and push the changes
+async function updateStreams(type, compute) {
+    for (const channel of channels.values()) {
+        try {
+            const data = await compute(channel.point);
+            if (data !== null && data !== undefined) {
+                publish(channel, type, data);
+            }
+        } catch (err) {
+            logMessage(`Error updating ${type} stream for ${channel.key}: ${err.message}`, 'warn', loglevel);
+        }
+    }
+}
+
+// Close every open stream, e.g. on shutdown
+function closeStreams() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    channels.forEach((channel) => {
+        clearTimeout(channel.expiry);
+        channel.clients.forEach((res) => res.end());
+    });
+    channels.clear();
+}
+
+// Exports
+export { openStream, updateStreams, closeStreams };
@@ -0,0 +1,257 @@
+// This script handles webhook subscriptions: saved points that get a signed POST to their
+// callback URL when a new alert or mesoscale discussion affects them
+
+// Imports
+import { logMessage } from './logging.js';
+import { parseAlerts, parseMcds } from './dataparser.js';
+import { parseCoordinates } from './utils.js';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+const subscriptionsFile = process.env.SUBSCRIPTIONS_FILE || './subscriptions.json';
+
+// Event types a subscription can ask for
+const subscriptionTypes = ['alerts', 'mcd'];
+
+// Alert actions that continue an event without changing it, so are not delivered again
+const quietActions = ['CON', 'ROU', 'COR'];
+
+// Delivery attempts and the base delay (ms) of the exponential backoff between them
+const maxAttempts = 5;
+const retryDelay = 5000;
+
+let subscriptions = new Map();
+
+// Load subscriptions saved by a previous run
+function loadSubscriptions() {
+    try {
+        if (fs.existsSync(subscriptionsFile)) {
+            const saved = JSON.parse(fs.readFileSync(subscriptionsFile, 'utf8'));
+            // Subscriptions saved before they had an owner belong to the API_KEY key
+            subscriptions = new Map(saved.map((subscription) => [subscription.id, { owner: 'default', ...subscription }]));
+            logMessage(`Loaded ${subscriptions.size} subscriptions`, 'info', loglevel);
+        }
+    } catch (err) {
+        logMessage(`Error loading subscriptions: ${err.message}`, 'error', loglevel);
+    }
+}
+
+// Save subscriptions, writing a temporary file first so a crash can not leave a partial file
+function saveSubscriptions() {
+    try {
+        const tmpFile = `${subscriptionsFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...subscriptions.values()], null, 2), 'utf8');
+        fs.renameSync(tmpFile, subscriptionsFile);
+    } catch (err) {
+        logMessage(`Error saving subscriptions: ${err.message}`, 'error', loglevel);
+    }
+}
+
+// Public view of a subscription, without its secret and delivery state
+function describeSubscription(subscription) {
+    const { secret, delivered, ...rest } = subscription;
+    return rest;
+}
+
+// Validate and register a subscription for the API key named `owner`;
+// returns { subscription } (including its secret) or { error }
+function createSubscription(input, owner) {
+    const point = parseCoordinates(input?.lat, input?.lon);
+    if (!point) {
+        return { error: "Invalid or missing lat or lon" };
+    }
+
+    let callback;
+    try {
+        callback = new URL(input?.callback);
+    } catch (err) {
+        return { error: "Invalid or missing callback URL" };
+    }
+    if (!['http:', 'https:'].includes(callback.protocol)) {
+        return { error: "Callback URL must use http or https" };
+    }
+
+    const types = input?.types === undefined ? [...subscriptionTypes] : input.types;
+    if (!Array.isArray(types) || types.length === 0 || types.some((type) => !subscriptionTypes.includes(type))) {
+        return { error: `Invalid types, expected a list of: ${subscriptionTypes.join(', ')}` };
+    }
+
+    const events = input?.events === undefined ? [] : input.events;
+    if (!Array.isArray(events) || events.some((event) => typeof event !== 'string')) {
+        return { error: "Invalid events, expected a list of alert event names" };
+    }
+
+    const subscription = {
+        id: crypto.randomUUID(),
+        owner: owner,
+        lat: point.lat,
+        lon: point.lon,
+        types: types,
+        events: events,
+        callback: callback.toString(),
+        created: new Date().toISOString(),
+        secret: crypto.randomBytes(32).toString('hex'),
+        delivered: {},
+    };
+    subscriptions.set(subscription.id, subscription);
+    saveSubscriptions();
+    logMessage(`Created subscription ${subscription.id}`, 'info', loglevel);
+    return { subscription: { ...describeSubscription(subscription), secret: subscription.secret } };
+}
+
+// Subscriptions are only visible to the key that created them; others get "not found"
+function ownedSubscription(id, owner) {
+    const subscription = subscriptions.get(id);
+    return subscription && subscription.owner === owner ? subscription : null;
+}
+
+function listSubscriptions(owner) {
+    return [...subscriptions.values()].filter((subscription) => subscription.owner === owner).map(describeSubscription);
+}
+
+function getSubscription(id, owner) {
+    const subscription = ownedSubscription(id, owner);
+    return subscription ? describeSubscription(subscription) : null;
+}
+
+function deleteSubscription(id, owner) {
+    if (!ownedSubscription(id, owner)) return false;
+    removeSubscription(id);
+    return true;
+}
+
+// Remove a subscription whatever its owner, for the delivery worker
+function removeSubscription(id) {
+    if (!subscriptions.delete(id)) return;
+    saveSubscriptions();
+    logMessage(`Deleted subscription ${id}`, 'info', loglevel);
+}
+
+// POST a payload to a subscription's callback, signed with HMAC-SHA256 over "<timestamp>.<body>".
+// Failed deliveries are retried with exponential backoff and jitter.
+async function deliver(subscription, payload, attempt = 1) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+    let retry = true;
+    try {
+        const response = await fetch(subscription.callback, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': payload.id,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signature}`,
+            },
+            body: body,
+            signal: controller.signal,
+        });
+        if (response.ok) {
+            logMessage(`Delivered ${payload.type} ${payload.id} to subscription ${subscription.id}`, 'debug', loglevel);
+            return;
+        }
+        if (response.status === 410) {
+            // The receiver is gone for good
+            logMessage(`Callback for subscription ${subscription.id} returned 410, removing it`, 'warn', loglevel);
+            removeSubscription(subscription.id);
+            return;
+        }
+        // Other client errors will not succeed on retry, except timeouts and rate limits
+        retry = response.status >= 500 || response.status === 408 || response.status === 429;
+        logMessage(`Delivery to subscription ${subscription.id} failed: HTTP ${response.status}`, 'warn', loglevel);
+    } catch (err) {
+        logMessage(`Delivery to subscription ${subscription.id} failed: ${err.name === 'AbortError' ? 'timeout' : err.message}`, 'warn', loglevel);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (retry && attempt < maxAttempts && subscriptions.has(subscription.id)) {
+        const delay = retryDelay * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 1000);
+        setTimeout(() => deliver(subscription, payload, attempt + 1), delay);
+    } else {
+        logMessage(`Giving up on ${payload.type} ${payload.id} for subscription ${subscription.id} after ${attempt} attempts`, 'error', loglevel);
+    }
+}
+
+function queueDelivery(subscription, type, data) {
+    deliver(subscription, {
+        id: crypto.randomUUID(),
+        type: type,
+        subscription: subscription.id,
+        location: { lat: subscription.lat, lon: subscription.lon },
+        sent: new Date().toISOString(),
+        data: data,
+    });
+}
+
+// Check every subscription against the current alerts and MCDs, delivering what is new to it.
+// `fetchAlerts(lat, lon)` returns the active alerts GeoJSON for a point (or null on failure),
+// and `raw_mcd` is the MCD cache.
+async function checkSubscriptions({ fetchAlerts, raw_mcd }) {
+    let changed = false;
+
+    for (const subscription of [...subscriptions.values()]) {
+        try {
+            const point = [subscription.lon, subscription.lat];
+
+            if (subscription.types.includes('alerts')) {
+                const raw_alerts = await fetchAlerts(subscription.lat, subscription.lon);
+                if (raw_alerts) {
+                    const alerts = parseAlerts(raw_alerts, { point, geometry: true, event: subscription.events.map((event) => event.toLowerCase()) });
+                    const activeKeys = new Set();
+                    alerts.forEach((alert) => {
+                        const key = `alert:${alert.lifecycle.event_key || alert.properties.id}`;
+                        activeKeys.add(key);
+                        const previous = subscription.delivered[key];
+                        if (previous === undefined || (previous !== alert.properties.id && !quietActions.includes(alert.lifecycle.state))) {
+                            queueDelivery(subscription, 'alert', alert);
+                        }
+                        if (previous !== alert.properties.id) {
+                            subscription.delivered[key] = alert.properties.id;
+                            changed = true;
+                        }
+                    });
+                    // Forget events that are no longer active
+                    Object.keys(subscription.delivered).filter((key) => key.startsWith('alert:') && !activeKeys.has(key)).forEach((key) => {
+                        delete subscription.delivered[key];
+                        changed = true;
+                    });
+                }
+            }
+
+            if (subscription.types.includes('mcd') && raw_mcd?.data) {
+                const mcds = parseMcds(raw_mcd, point);
+                const activeKeys = new Set();
+                mcds.forEach((mcd) => {
+                    const key = `mcd:${mcd.number}:${mcd.issued}`;
+                    activeKeys.add(key);
+                    if (subscription.delivered[key] === undefined) {
+                        queueDelivery(subscription, 'mcd', mcd);
+                        subscription.delivered[key] = mcd.number;
+                        changed = true;
+                    }
+                });
+                Object.keys(subscription.delivered).filter((key) => key.startsWith('mcd:') && !activeKeys.has(key)).forEach((key) => {
+                    delete subscription.delivered[key];
+                    changed = true;
+                });
+            }
+        } catch (err) {
+            logMessage(`Error checking subscription ${subscription.id}: ${err.message}`, 'error', loglevel);
+        }
+    }
+
+    if (changed) {
+        saveSubscriptions();
+    }
+}
+
+// Exports
+export { loadSubscriptions, createSubscription, listSubscriptions, getSubscription, deleteSubscription, checkSubscriptions };
@@ -0,0 +1,58 @@
+// US EPA AQI from pollutant concentrations
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { concentrationAqi, pollutantAqis, overallAqi } from '../airquality.js';
+
+// µg/m³ of a gas concentration in ppb, at 25°C and 1 atm (the inverse of the conversion in airquality.js)
+const micrograms = (ppb, molecularWeight) => ppb * molecularWeight / 24.45;
+const ozone = (ppm) => micrograms(ppm * 1000, 48.00);
+const so2 = (ppb) => micrograms(ppb, 64.07);
+
+test('PM2.5 row edges', () => {
+    assert.equal(concentrationAqi('pm2_5', 9.0), 50);
+    assert.equal(concentrationAqi('pm2_5', 9.1), 51);
+    assert.equal(concentrationAqi('pm2_5', 35.4), 100);
+    assert.equal(concentrationAqi('pm2_5', 35.5), 101);
+});
+
+test('concentrations are truncated to the table decimals before the lookup', () => {
+    assert.equal(concentrationAqi('pm2_5', 9.09), 50);
+    assert.equal(concentrationAqi('pm2_5', 35.49), 100);
+    assert.equal(concentrationAqi('pm10', 54.9), 50);
+    assert.equal(concentrationAqi('o3_8h', 0.0549), 50);
+});
+
+test('concentrations above the table are 500, below the 1-hour ozone table there is no AQI', () => {
+    assert.equal(concentrationAqi('pm2_5', 325.4), 500);
+    assert.equal(concentrationAqi('pm2_5', 400), 500);
+    assert.equal(concentrationAqi('pm10', 605), 500);
+    assert.equal(concentrationAqi('o3_1h', 0.100), null);
+    assert.equal(concentrationAqi('pm2_5', null), null);
+});
+
+test('ozone is the higher of the 8-hour and 1-hour AQI', () => {
+    // 1-hour value below its table: the 8-hour AQI
+    assert.equal(pollutantAqis({ o3_8h: ozone(0.060), o3_1h: ozone(0.100) }).o3, 67);
+    // 1-hour AQI above the 8-hour AQI
+    assert.equal(pollutantAqis({ o3_8h: ozone(0.060), o3_1h: ozone(0.150) }).o3, 132);
+    // 8-hour value above 0.200 ppm is not defined; the 1-hour AQI alone
+    assert.equal(pollutantAqis({ o3_8h: ozone(0.210), o3_1h: ozone(0.300) }).o3, 248);
+    assert.equal(pollutantAqis({ o3_8h: ozone(0.210), o3_1h: ozone(0.100) }).o3, null);
+});
+
+test('SO2 above 304 ppb uses the 24-hour table, at least 200', () => {
+    assert.equal(pollutantAqis({ so2_1h: so2(200), so2_24h: so2(500) }).so2, 157);
+    assert.equal(pollutantAqis({ so2_1h: so2(400), so2_24h: so2(500) }).so2, 266);
+    assert.equal(pollutantAqis({ so2_1h: so2(400), so2_24h: so2(100) }).so2, 200);
+    assert.equal(pollutantAqis({ so2_1h: so2(400), so2_24h: null }).so2, 200);
+});
+
+test('the overall AQI is the highest pollutant AQI', () => {
+    assert.deepEqual(overallAqi({ pm2_5: 51, pm10: 20, o3: 132, co: null, so2: 5, no2: 30 }), {
+        aqi: 132,
+        category: 'Unhealthy for Sensitive Groups',
+        color: '#FF7E00',
+        dominant_pollutant: 'o3',
+    });
+    assert.deepEqual(overallAqi({ pm2_5: null, o3: null }), { aqi: null, category: null, color: null, dominant_pollutant: null });
+});
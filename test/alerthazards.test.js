@@ -0,0 +1,49 @@
+// Alert hazard details extracted from the CAP parameters and description of NWS alerts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './fixtures.js';
+import { parseAlerts } from '../dataparser.js';
+
+const withMotion = (description) => {
+    const raw = loadFixture('nws_alerts_tornado_warning.json');
+    raw.features[0].properties.parameters.eventMotionDescription = [description];
+    return parseAlerts(raw)[0].hazards.motion;
+};
+
+test('a tornado warning yields its hazard details', () => {
+    const [alert] = parseAlerts(loadFixture('nws_alerts_tornado_warning.json'));
+    const { hazards } = alert;
+    assert.equal(hazards.hazard, 'Damaging tornado and quarter size hail.');
+    assert.equal(hazards.source, 'Radar confirmed tornado.');
+    assert.match(hazards.impact, /^Flying debris will be dangerous/);
+    assert.equal(hazards.tornado_detection, 'OBSERVED');
+    assert.equal(hazards.tornado_damage_threat, 'CONSIDERABLE');
+    assert.equal(hazards.max_hail_size, 1);
+    assert.equal(hazards.pds, true);
+    assert.equal(hazards.emergency, false);
+
+    // PDS warnings get their own display color
+    const raw = loadFixture('nws_alerts_tornado_warning.json');
+    delete raw.features[0].properties.parameters.tornadoDamageThreat;
+    const [plain] = parseAlerts(raw);
+    assert.equal(plain.hazards.pds, false);
+    assert.notEqual(alert.product.color, plain.product.color);
+});
+
+test('storm motion is parsed from the decimal lat,lon pairs of the CAP parameter', () => {
+    const [alert] = parseAlerts(loadFixture('nws_alerts_tornado_warning.json'));
+    assert.deepEqual(alert.hazards.motion, {
+        time: '2024-05-07T00:38:00-00:00',
+        type: 'storm',
+        direction: 231,
+        speed: 30,
+        locations: [[-97.76, 36.56]],
+    });
+});
+
+test('storm motion with several locations, and the text product layout', () => {
+    assert.deepEqual(withMotion('2024-05-07T00:38:00-00:00...storm...245DEG...30KT...41.13,-93.78 41.08,-93.9').locations, [[-93.78, 41.13], [-93.9, 41.08]]);
+    assert.deepEqual(withMotion('2024-05-07T00:38:00-00:00...storm...245DEG...30KT...4113 9378 4108 9390').locations, [[-93.78, 41.13], [-93.9, 41.08]]);
+    assert.equal(withMotion('not a motion line'), null);
+});
+
@@ -0,0 +1,64 @@
+// API key authentication: accepted header schemes, and subscriptions owned by the key that created them
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparkradar-auth-'));
+let auth;
+let subscriptions;
+
+before(async () => {
+    // Modules read their files at import, so the environment is set first
+    process.env.API_KEYS_FILE = path.join(dir, 'api_keys.json');
+    process.env.SUBSCRIPTIONS_FILE = path.join(dir, 'subscriptions.json');
+    fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify([
+        { name: 'tester-a', key: 'key-a', scopes: ['subscriptions'] },
+        { name: 'tester-b', key: 'key-b', scopes: ['subscriptions'] },
+    ]));
+    auth = await import('../auth.js');
+    subscriptions = await import('../subscriptions.js');
+    auth.loadApiKeys();
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run the middleware for a request with these headers; resolves to the key name or the error status
+function authenticate(headers, query = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { id: 'test', path: '/subscriptions', query, get: (name) => lower[name.toLowerCase()] };
+    return new Promise((resolve) => {
+        const res = { set() { return res; }, status(code) { resolve(code); return res; }, json() { return res; } };
+        auth.requireApiKey('subscriptions')(req, res, () => resolve(req.apiKey.name));
+    });
+}
+
+test('keys are accepted as Bearer, ApiKey, X-API-Key or the key parameter', async () => {
+    assert.equal(await authenticate({ Authorization: 'Bearer key-a' }), 'tester-a');
+    assert.equal(await authenticate({ Authorization: 'ApiKey key-b' }), 'tester-b');
+    assert.equal(await authenticate({ 'X-API-Key': 'key-a' }), 'tester-a');
+    assert.equal(await authenticate({}, { key: 'key-b' }), 'tester-b');
+    assert.equal(await authenticate({ Authorization: 'Bearer wrong' }), 401);
+});
+
+test('other Authorization schemes fall through to X-API-Key', async () => {
+    const basic = `Basic ${Buffer.from('proxy:secret').toString('base64')}`;
+    assert.equal(await authenticate({ Authorization: basic, 'X-API-Key': 'key-a' }), 'tester-a');
+    assert.equal(await authenticate({ Authorization: basic }), 401);
+});
+
+test('subscriptions are only visible to and deletable by their owner', () => {
+    const input = { lat: 41.88, lon: -87.63, callback: 'https://example.com/hook' };
+    const { subscription } = subscriptions.createSubscription(input, 'tester-a');
+    assert.equal(subscription.owner, 'tester-a');
+
+    assert.deepEqual(subscriptions.listSubscriptions('tester-a').map(({ id }) => id), [subscription.id]);
+    assert.deepEqual(subscriptions.listSubscriptions('tester-b'), []);
+    assert.equal(subscriptions.getSubscription(subscription.id, 'tester-b'), null);
+    assert.equal(subscriptions.deleteSubscription(subscription.id, 'tester-b'), false);
+
+    assert.equal(subscriptions.getSubscription(subscription.id, 'tester-a').callback, 'https://example.com/hook');
+    assert.equal(subscriptions.deleteSubscription(subscription.id, 'tester-a'), true);
+    assert.deepEqual(subscriptions.listSubscriptions('tester-a'), []);
+});
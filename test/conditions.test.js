@@ -0,0 +1,35 @@
+// Condition codes of NWS `Weather` strings, alone and with the icon MapClick sends alongside them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './fixtures.js';
+import { conditionCodes, classifyCondition } from '../conditions.js';
+
+const corpus = loadFixture('nws_weather_strings.json');
+
+test('the corpus only expects documented codes', () => {
+    for (const { weather, code } of corpus) {
+        assert.ok(conditionCodes[code], `${weather}: ${code} is not in the code table`);
+    }
+});
+
+test('Weather strings classify from the text alone', () => {
+    for (const { weather, code } of corpus) {
+        assert.equal(classifyCondition({ condition: weather })?.code, code, weather);
+    }
+});
+
+test('Weather strings classify with their icon', () => {
+    for (const { weather, icon, code } of corpus.filter((entry) => entry.icon)) {
+        assert.equal(classifyCondition({ condition: weather, icon })?.code, code, `${weather} (${icon})`);
+    }
+});
+
+test('mixed precipitation and thunder win over rain', () => {
+    assert.equal(classifyCondition({ condition: 'Chance Rain And Snow' }).condition, 'Rain And Snow');
+    assert.equal(classifyCondition({ condition: 'Thunderstorms And Rain Showers' }).condition, 'Thunderstorms');
+});
+
+test('night icons pick the night icon key', () => {
+    assert.equal(classifyCondition({ condition: 'Chance Showers', icon: 'https://forecast.weather.gov/newimages/medium/nshra40.png' }).icon, 'showers-night');
+    assert.equal(classifyCondition({ condition: 'Partly Sunny', icon: 'https://forecast.weather.gov/newimages/medium/sct.png' }).icon, 'partly-cloudy-day');
+});
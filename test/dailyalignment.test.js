@@ -0,0 +1,75 @@
+// Daily forecast alignment: NWS half-day periods are matched to the base provider's days by local date
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './fixtures.js';
+import { parseWeatherData } from '../dataparser.js';
+import * as owm from '../providers/owm.js';
+import * as nws from '../providers/nws.js';
+
+const chicago = [-87.63, 41.88];
+const fahrenheit = (kelvin) => kelvin === null ? null : Math.round((kelvin - 273.15) * 9 / 5 + 32);
+const serverTimezone = process.env.TZ;
+
+afterEach(() => {
+    if (serverTimezone === undefined) delete process.env.TZ;
+    else process.env.TZ = serverTimezone;
+});
+
+// Daily rows of a response, with NWS taken as is where it has a value (blend=nws) and °F temperatures
+function daily(baseFixture, nwsFixture) {
+    const data = parseWeatherData(chicago, owm.normalize(loadFixture(baseFixture)), nws.normalize(loadFixture(nwsFixture)), {}, {}, {}, {
+        sections: ['daily'],
+        units: { system: 'imperial', temperature: 'F', wind: 'mph', pressure: 'inHg', distance: 'mi', precipitation: 'in/h' },
+        blend: 'nws',
+    });
+    return data.forecasts.daily.map((day) => ({
+        date: day.date,
+        high: Math.round(day.high),
+        low: Math.round(day.low),
+        high_sources: day.sources.high.sources,
+        low_sources: day.sources.low.sources,
+    }));
+}
+
+test('a forecast starting with "Tonight" fills only the first night, and the day comes from the base', () => {
+    const days = daily('owm_onecall_8day.json', 'nws_mapclick_tonight.json');
+    assert.deepEqual(days[0], { date: '2026-10-19', high: fahrenheit(287.15), low: 47, high_sources: ['owm'], low_sources: ['nws'] });
+    assert.deepEqual(days[1], { date: '2026-10-20', high: 53, low: 41, high_sources: ['nws'], low_sources: ['nws'] });
+    assert.deepEqual(days[6], { date: '2026-10-25', high: 52, low: 37, high_sources: ['nws'], low_sources: ['nws'] });
+});
+
+test('the 8th base day past the 7 NWS dates falls back to the base provider', () => {
+    const days = daily('owm_onecall_8day.json', 'nws_mapclick_tonight.json');
+    assert.equal(days.length, 8);
+    assert.deepEqual(days.map((day) => day.date), ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26']);
+    assert.deepEqual(days[7], { date: '2026-10-26', high: fahrenheit(284.3), low: fahrenheit(275.9), high_sources: ['owm'], low_sources: ['owm'] });
+});
+
+test('an "Overnight" period across the DST change belongs to the previous date', () => {
+    const days = daily('owm_onecall_dst.json', 'nws_mapclick_dst.json');
+    assert.deepEqual(days.map((day) => day.date), ['2026-10-31', '2026-11-01', '2026-11-02']);
+    // Overnight starts 01:00 CDT on Nov 1, before the 02:00 fall back; its low is Oct 31's
+    assert.deepEqual(days[0], { date: '2026-10-31', high: fahrenheit(283.4), low: 36, high_sources: ['owm'], low_sources: ['nws'] });
+    // After the change periods carry -06:00, and the base's local noon moves to 18Z
+    assert.deepEqual(days[1], { date: '2026-11-01', high: 54, low: 42, high_sources: ['nws'], low_sources: ['nws'] });
+    assert.deepEqual(days[2], { date: '2026-11-02', high: 57, low: 45, high_sources: ['nws'], low_sources: ['nws'] });
+});
+
+test('dates do not depend on the server time zone', () => {
+    process.env.TZ = 'UTC';
+    const expected = [daily('owm_onecall_8day.json', 'nws_mapclick_tonight.json'), daily('owm_onecall_dst.json', 'nws_mapclick_dst.json')];
+    ['Asia/Tokyo', 'Pacific/Honolulu', 'Europe/London'].forEach((timezone) => {
+        process.env.TZ = timezone;
+        assert.deepEqual([daily('owm_onecall_8day.json', 'nws_mapclick_tonight.json'), daily('owm_onecall_dst.json', 'nws_mapclick_dst.json')], expected, timezone);
+    });
+});
+
+test('without a base provider the days come from the NWS periods alone', () => {
+    const data = parseWeatherData(chicago, null, nws.normalize(loadFixture('nws_mapclick_tonight.json')), {}, {}, {}, { sections: ['daily'] });
+    const days = data.forecasts.daily;
+    assert.equal(days.length, 7);
+    assert.equal(days[0].date, '2026-10-19');
+    assert.equal(days[0].high, null);
+    assert.equal(fahrenheit(days[0].low), 47);
+    assert.equal(days[6].date, '2026-10-25');
+});
@@ -0,0 +1,10 @@
+// Loads the JSON fixtures in test/fixtures: upstream responses recorded in their wire format,
+// trimmed to a few rows
+import fs from 'fs';
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+// Exports
+export { loadFixture };
@@ -0,0 +1,23 @@
+// Upstream health as reported by /health
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordUpstream, upstreamHealth, renderMetrics } from '../metrics.js';
+
+test('NO DATA counts as an answer, not a failure', () => {
+    recordUpstream('NWS', 'OK', 0.2);
+    recordUpstream('NWS', 'NO DATA', 0.1);
+    const { NWS } = upstreamHealth();
+    assert.equal(NWS.last_status, 'NO DATA');
+    assert.notEqual(NWS.last_success, null);
+    assert.equal(NWS.last_failure, null);
+});
+
+test('errors and timeouts are failures', () => {
+    recordUpstream('OpenWeatherMap', 'FETCH ERROR', 0.3);
+    recordUpstream('Open-Meteo', 'FETCH TIMEOUT', 5);
+    const health = upstreamHealth();
+    assert.notEqual(health.OpenWeatherMap.last_failure, null);
+    assert.equal(health.OpenWeatherMap.last_success, null);
+    assert.notEqual(health['Open-Meteo'].last_failure, null);
+    assert.match(renderMetrics(), /upstream_fetches_total\{source="OpenWeatherMap",status="FETCH ERROR"\} 1/);
+});
@@ -0,0 +1,125 @@
+// Provider adapters: each recorded upstream response normalizes into the shared forecast model
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './fixtures.js';
+import * as owm from '../providers/owm.js';
+import * as nws from '../providers/nws.js';
+import * as openmeteo from '../providers/openmeteo.js';
+
+const near = (actual, expected, tolerance = 0.01) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Every adapter returns the same top-level shape
+function assertModel(model, source) {
+    assert.equal(model.source, source);
+    assert.deepEqual(Object.keys(model.location).sort(), ['radar', 'timezone', 'timezone_offset', 'wfo', 'zone']);
+    ['minutely', 'hourly', 'daily', 'periods'].forEach((list) => assert.ok(Array.isArray(model[list]), `${list} is a list`));
+}
+
+test('owm: normalizes One Call 3.0 into SI units with ISO times', () => {
+    const model = owm.normalize(loadFixture('owm_onecall.json'));
+    assertModel(model, 'owm');
+    assert.deepEqual(model.location, { timezone: 'America/Chicago', timezone_offset: -18000, wfo: null, radar: null, zone: null });
+
+    const current = model.current;
+    assert.equal(current.time, '2026-10-19T15:00:00.000Z');
+    assert.equal(current.temperature, 284.82);
+    assert.equal(current.dew_point, 280.71);
+    assert.equal(current.humidity, 76);
+    assert.equal(current.wind_gust, 8.23);
+    assert.equal(current.visibility, 10); // m to km
+    assert.equal(current.condition, 'broken clouds');
+    assert.equal(current.owm_id, 803);
+    assert.equal(current.is_day, true);
+    assert.equal(current.sunrise, '2026-10-19T12:04:00.000Z');
+
+    assert.deepEqual(model.minutely.map((minute) => minute.precipitation), [0, 0.24, 0.51]);
+    assert.equal(model.hourly.length, 2);
+    assert.equal(model.hourly[1].precipitation_probability, 47); // pop 0.47
+    assert.equal(model.hourly[1].owm_id, 500);
+
+    const today = model.daily[0];
+    assert.equal(today.high, 287.15);
+    assert.equal(today.low, 281.2);
+    assert.equal(today.feels_like, 285.7);
+    assert.equal(today.precipitation_probability, 62);
+    assert.equal(today.moon_phase, 0.93);
+    assert.equal(model.daily[1].precipitation_probability, 0);
+    assert.deepEqual(model.periods, []);
+});
+
+test('nws: normalizes MapClick from °F, mph, miles and inHg', () => {
+    const model = nws.normalize(loadFixture('nws_mapclick.json'));
+    assertModel(model, 'nws');
+    assert.deepEqual(model.location, { timezone: null, timezone_offset: null, wfo: 'LOT', radar: 'KLOT', zone: 'ILZ014' });
+
+    const current = model.current;
+    near(current.temperature, 284.82); // 53°F
+    near(current.dew_point, 280.37); // 45°F
+    assert.equal(current.humidity, 74);
+    near(current.wind_speed, 5.36); // 12 mph
+    assert.equal(current.wind_gust, null); // "0" means no gusts
+    near(current.visibility, 16.09); // 10 miles
+    near(current.pressure, 1019.3, 0.05); // 30.10 inHg
+    assert.equal(current.condition, 'Mostly Cloudy');
+    assert.equal(current.icon, 'bkn.png');
+
+    // MapClick has no hourly or daily rows, only half-day periods
+    assert.deepEqual(model.daily, []);
+    assert.equal(model.periods.length, 4);
+    assert.deepEqual(model.periods.map((period) => period.name), ['Today', 'Tonight', 'Tuesday', 'Tuesday Night']);
+    assert.deepEqual(model.periods.map((period) => period.label), ['High', 'Low', 'High', 'Low']);
+    near(model.periods[0].temperature, 287.04); // 57°F
+    assert.deepEqual(model.periods.map((period) => period.precipitation_probability), [60, 30, null, null]);
+    assert.equal(model.periods[1].start, '2026-10-19T18:00:00-05:00');
+    assert.match(model.periods[1].icon, /DualImage\.php\?i=nshra&j=nbkn/);
+});
+
+test('nws: tolerates a response without a current observation', () => {
+    const raw = loadFixture('nws_mapclick.json');
+    delete raw.currentobservation;
+    const model = nws.normalize(raw);
+    assert.equal(model.current, null);
+    assert.equal(model.periods.length, 4);
+});
+
+test('openmeteo: zips the column arrays and converts °C to Kelvin', () => {
+    const model = openmeteo.normalize(loadFixture('openmeteo_forecast.json'));
+    assertModel(model, 'openmeteo');
+    assert.deepEqual(model.location, { timezone: 'America/Chicago', timezone_offset: -18000, wfo: null, radar: null, zone: null });
+
+    const current = model.current;
+    assert.equal(current.time, '2026-10-19T15:00:00.000Z');
+    near(current.temperature, 284.85);
+    near(current.dew_point, 280.55);
+    assert.equal(current.condition, 'Cloudy');
+    assert.equal(current.wmo_code, 3);
+    assert.equal(current.is_day, true);
+    assert.equal(current.visibility, null);
+    // Today's sunrise and sunset come from the first daily row
+    assert.equal(current.sunrise, '2026-10-19T12:04:00.000Z');
+
+    // 15-minute accumulations become mm/h rates
+    assert.deepEqual(model.minutely.map((step) => step.precipitation), [0, 0.4, 1.2, null]);
+
+    assert.equal(model.hourly.length, 2);
+    assert.equal(model.hourly[1].condition, 'Light Rain');
+    assert.equal(model.hourly[1].precipitation_probability, 48);
+
+    // Daily rows start at local midnight and are shifted to local noon
+    assert.equal(model.daily[0].time, '2026-10-19T17:00:00.000Z');
+    near(model.daily[0].high, 287.15);
+    near(model.daily[0].low, 281.25);
+    assert.equal(model.daily[0].uvi, 2.4);
+    assert.equal(model.daily[1].condition, 'Clear');
+});
+
+test('adapters return empty models for empty responses', () => {
+    [owm, nws, openmeteo].forEach((provider) => {
+        const model = provider.normalize({});
+        assertModel(model, provider.name);
+        assert.equal(model.current, null);
+        assert.equal(model.hourly.length, 0);
+        assert.equal(model.daily.length, 0);
+    });
+});
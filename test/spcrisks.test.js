@@ -0,0 +1,44 @@
+// SPC outlook dates: each outlook is dated by the 12Z-12Z convective day it covers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpcRisks } from '../dataparser.js';
+
+const square = [[[-90, 40], [-85, 40], [-85, 45], [-90, 45], [-90, 40]]];
+const outlook = (properties) => ({
+    type: 'FeatureCollection',
+    features: [{
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: square },
+        properties: { DN: 2, LABEL: 'TSTM', LABEL2: 'General Thunderstorms Risk', stroke: '#55BB55', fill: '#C1E9C1', ...properties },
+    }],
+});
+const chicago = [-87.63, 41.88];
+
+test('the 01Z day 1 outlook keeps the convective day that started at 12Z the previous UTC date', () => {
+    // Issued 0052Z Oct 20: 7:52 pm CDT Oct 19
+    const [risk] = parseSpcRisks([outlook({ VALID: '202610200100', EXPIRE: '202610201200', ISSUE: '202610200052' })], chicago, '2026-10-19');
+    assert.equal(risk.date, '2026-10-19');
+    assert.equal(risk.level, 'TSTM');
+});
+
+test('day 1, 2 and 3 outlooks are dated by the day they cover', () => {
+    const risks = parseSpcRisks([
+        outlook({ VALID: '202610191630', EXPIRE: '202610201200', ISSUE: '202610191630' }),
+        outlook({ VALID: '202610201200', EXPIRE: '202610211200', ISSUE: '202610191730' }),
+        outlook({ VALID: '202610211200', EXPIRE: '202610221200', ISSUE: '202610190730' }),
+    ], chicago, '2026-10-19');
+    assert.deepEqual(risks.map((risk) => risk.date), ['2026-10-19', '2026-10-20', '2026-10-21']);
+});
+
+test('without EXPIRE, VALID or ISSUE give the convective day', () => {
+    assert.equal(parseSpcRisks([outlook({ VALID: '202610200100' })], chicago, '2026-10-19')[0].date, '2026-10-19');
+    assert.equal(parseSpcRisks([outlook({ VALID: '202610191200' })], chicago, '2026-10-19')[0].date, '2026-10-19');
+    assert.equal(parseSpcRisks([outlook({ ISSUE: '202610200052' })], chicago, '2026-10-19')[0].date, '2026-10-19');
+    const [, day2] = parseSpcRisks([outlook({ ISSUE: '202610190600' }), outlook({ ISSUE: '202610190600' })], chicago, '2026-10-19');
+    assert.equal(day2.date, '2026-10-20');
+});
+
+test('outlooks without stamps fall back to the location date, and points outside get NONE', () => {
+    const risks = parseSpcRisks([outlook({}), outlook({})], [-100, 30], '2026-10-19');
+    assert.deepEqual(risks.map((risk) => [risk.date, risk.level]), [['2026-10-19', 'NONE'], ['2026-10-20', 'NONE']]);
+});
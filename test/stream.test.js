@@ -0,0 +1,53 @@
+// Server-Sent Events streams: initial events, and resuming with Last-Event-ID
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openStream, updateStreams, closeStreams } from '../stream.js';
+
+// Minimal Express request and response doubles; `written` collects the events sent to the client
+function connect(lastEventId) {
+    const req = { id: 'test', get: (name) => name === 'Last-Event-ID' ? lastEventId : undefined, on: () => {} };
+    const res = { destroyed: false, chunks: [], set() {}, flushHeaders() {}, write(chunk) { this.chunks.push(chunk); }, end() {} };
+    res.events = () => res.chunks
+        .filter((chunk) => chunk.startsWith('id: '))
+        .map((chunk) => {
+            const [, id, type, data] = chunk.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)\n\n$/);
+            return { id: parseInt(id, 10), type, data: JSON.parse(data) };
+        });
+    return { req, res };
+}
+
+const snapshot = async () => ({ alert: [{ id: 'a1' }], mcd: [], spc: [{ level: 'TSTM' }] });
+let point = 0;
+const nextPoint = () => [-87 - ++point / 10, 41];
+
+afterEach(() => closeStreams());
+
+test('a new client gets the latest event of each type', async () => {
+    const { req, res } = connect();
+    await openStream(req, res, nextPoint(), snapshot);
+    assert.deepEqual(res.events().map((event) => event.type), ['alert', 'mcd', 'spc']);
+});
+
+test('a Last-Event-ID from before a restart gets the latest events instead of nothing', async () => {
+    const { req, res } = connect('999999');
+    await openStream(req, res, nextPoint(), snapshot);
+    assert.deepEqual(res.events().map((event) => event.type), ['alert', 'mcd', 'spc']);
+});
+
+test('a Last-Event-ID in the history replays only the missed events', async () => {
+    const where = nextPoint();
+    const first = connect();
+    await openStream(first.req, first.res, where, snapshot);
+    const lastSeen = Math.max(...first.res.events().map((event) => event.id));
+
+    await updateStreams('alert', async () => [{ id: 'a2' }]);
+    const resumed = connect(String(lastSeen));
+    await openStream(resumed.req, resumed.res, where, snapshot);
+    assert.deepEqual(resumed.res.events().map((event) => [event.type, event.data]), [['alert', [{ id: 'a2' }]]]);
+});
+
+test('alerts that could not be fetched are skipped rather than sent as an empty list', async () => {
+    const { req, res } = connect();
+    await openStream(req, res, nextPoint(), async () => ({ alert: null, mcd: [], spc: [] }));
+    assert.deepEqual(res.events().map((event) => event.type), ['mcd', 'spc']);
+});
@@ -0,0 +1,170 @@
+// Webhook subscriptions: signed deliveries to a local receiver, retries, and which alert updates are sent
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadFixture } from './fixtures.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparkradar-subscriptions-'));
+const realSetTimeout = setTimeout;
+let subscriptions;
+
+// Each callback path answers with the listed status codes in turn, repeating the last one;
+// every request is recorded with its headers and parsed body
+const routes = {
+    '/hook': [200],
+    '/updates': [200],
+    '/flaky': [503, 200],
+    '/rejected': [400],
+    '/gone': [410],
+};
+const received = {};
+let server;
+let base;
+
+before(async () => {
+    // The subscriptions file is read at import, so the environment is set first
+    process.env.SUBSCRIPTIONS_FILE = path.join(dir, 'subscriptions.json');
+    subscriptions = await import('../subscriptions.js');
+
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received[req.url] = [...(received[req.url] || []), { headers: req.headers, raw: body, body: JSON.parse(body) }];
+            const codes = routes[req.url];
+            res.writeHead(codes[Math.min(received[req.url].length, codes.length) - 1]);
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise((resolve) => realSetTimeout(resolve, ms));
+
+// Resolves to the requests received on a path once there are `count` of them
+async function deliveries(callbackPath, count) {
+    for (let waited = 0; (received[callbackPath] || []).length < count && waited < 3000; waited += 10) {
+        await sleep(10);
+    }
+    return received[callbackPath] || [];
+}
+
+// The fixture tornado warning as the version `id` of its event, with this VTEC action
+function warning(action, id) {
+    const raw = loadFixture('nws_alerts_tornado_warning.json');
+    const [feature] = raw.features;
+    feature.properties.id = `urn:oid:2.49.0.1.840.0.${id}`;
+    feature.properties.parameters.VTEC = [`/O.${action}.KOUN.TO.W.0041.240507T0038Z-240507T0115Z/`];
+    return raw;
+}
+
+// A point inside the warning polygon, subscribed to alerts with its callback on this path
+function subscribe(callbackPath) {
+    const { subscription } = subscriptions.createSubscription({ lat: 36.55, lon: -97.68, callback: `${base}${callbackPath}`, types: ['alerts'] }, 'default');
+    return subscription;
+}
+
+async function check(raw_alerts) {
+    await subscriptions.checkSubscriptions({ fetchAlerts: async () => raw_alerts, raw_mcd: null });
+}
+
+test('deliveries are signed with the subscription secret', async () => {
+    const subscription = subscribe('/hook');
+    await check(warning('NEW', 'a.1'));
+    const [delivery] = await deliveries('/hook', 1);
+    subscriptions.deleteSubscription(subscription.id, 'default');
+
+    const { headers, raw, body } = delivery;
+    const expected = crypto.createHmac('sha256', subscription.secret).update(`${headers['x-webhook-timestamp']}.${raw}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-id'], body.id);
+    assert.equal(body.type, 'alert');
+    assert.equal(body.subscription, subscription.id);
+    assert.equal(body.data.properties.id, 'urn:oid:2.49.0.1.840.0.a.1');
+});
+
+test('continuations, routine updates and corrections are not delivered again', async () => {
+    const subscription = subscribe('/updates');
+    await check(warning('NEW', 'b.1'));
+    await deliveries('/updates', 1);
+    await check(warning('CON', 'b.2'));
+    await check(warning('ROU', 'b.3'));
+    await check(warning('COR', 'b.4'));
+    await sleep(200);
+    assert.equal(received['/updates'].length, 1);
+
+    // A real change to the event is
+    await check(warning('EXT', 'b.5'));
+    const sent = await deliveries('/updates', 2);
+    subscriptions.deleteSubscription(subscription.id, 'default');
+    assert.equal(sent.length, 2);
+    assert.equal(sent[1].body.data.properties.id, 'urn:oid:2.49.0.1.840.0.b.5');
+});
+
+test('server errors are retried after a backoff', async (t) => {
+    // Backoff timers (5 to 6 seconds for the first retry) are captured instead of waited for
+    const retries = [];
+    t.mock.method(globalThis, 'setTimeout', (fn, delay, ...args) => {
+        if (delay >= 5000 && delay < 6000) {
+            retries.push({ fn, delay });
+            return 0;
+        }
+        return realSetTimeout(fn, delay, ...args);
+    });
+
+    const subscription = subscribe('/flaky');
+    await check(warning('NEW', 'c.1'));
+    await deliveries('/flaky', 1);
+    for (let waited = 0; retries.length === 0 && waited < 3000; waited += 10) await sleep(10);
+    assert.equal(retries.length, 1);
+    assert.equal(received['/flaky'].length, 1);
+
+    retries[0].fn();
+    const sent = await deliveries('/flaky', 2);
+    subscriptions.deleteSubscription(subscription.id, 'default');
+    assert.equal(sent.length, 2);
+    assert.equal(sent[1].body.id, sent[0].body.id);
+});
+
+test('client errors are not retried', async (t) => {
+    const retry = t.mock.fn();
+    t.mock.method(globalThis, 'setTimeout', (fn, delay, ...args) => {
+        if (delay >= 5000 && delay !== 10000) {
+            retry();
+            return 0;
+        }
+        return realSetTimeout(fn, delay, ...args);
+    });
+
+    const subscription = subscribe('/rejected');
+    await check(warning('NEW', 'd.1'));
+    await deliveries('/rejected', 1);
+    await sleep(200);
+    subscriptions.deleteSubscription(subscription.id, 'default');
+    assert.equal(received['/rejected'].length, 1);
+    assert.equal(retry.mock.callCount(), 0);
+});
+
+test('a receiver answering 410 Gone removes the subscription', async () => {
+    const subscription = subscribe('/gone');
+    await check(warning('NEW', 'e.1'));
+    await deliveries('/gone', 1);
+    for (let waited = 0; subscriptions.getSubscription(subscription.id, 'default') && waited < 3000; waited += 10) await sleep(10);
+    assert.equal(subscriptions.getSubscription(subscription.id, 'default'), null);
+    assert.deepEqual(JSON.parse(fs.readFileSync(process.env.SUBSCRIPTIONS_FILE, 'utf8')).map(({ id }) => id).filter((id) => id === subscription.id), []);
+
+    // Nothing more is sent to it
+    await check(warning('EXT', 'e.2'));
+    await sleep(200);
+    assert.equal(received['/gone'].length, 1);
+});
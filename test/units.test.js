@@ -0,0 +1,18 @@
+// Unit selection from the query
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveUnits } from '../units.js';
+
+test('a unit system and per-quantity overrides are resolved', () => {
+    const { units } = resolveUnits({ units: 'Imperial', distance: 'km' });
+    assert.equal(units.system, 'imperial');
+    assert.equal(units.distance, 'km');
+    assert.equal(resolveUnits({}).units.system, 'standard');
+});
+
+test('repeated or unknown parameters are an error, not an exception', () => {
+    assert.match(resolveUnits({ units: ['a', 'b'] }).error, /^Invalid units "a,b"/);
+    assert.match(resolveUnits({ units: 'furlongs' }).error, /^Invalid units/);
+    assert.match(resolveUnits({ units: 'constructor' }).error, /^Invalid units/);
+    assert.match(resolveUnits({ temperature: ['C', 'F'] }).error, /^Invalid temperature unit/);
+});
@@ -0,0 +1,71 @@
+// Upstream fetches: HTTP errors are failures, and only rate limits and server errors are retried,
+// after the wait the upstream asks for
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchUpstreamJson } from '../upstream.js';
+
+// Each path answers with the listed responses ([code, body, headers]) in turn, repeating the last one
+const routes = {
+    '/ok': [[200, { value: 1 }]],
+    '/unauthorized': [[401, { cod: 401, message: 'Invalid API key.' }]],
+    '/problem': [[404, { type: 'https://api.weather.gov/problems/NotFound', status: 404 }]],
+    '/flaky': [[503, { message: 'unavailable' }], [200, { value: 2 }]],
+    '/limited': [[429, { cod: 429, message: 'Too many requests' }]],
+    '/retry-after': [[429, { cod: 429, message: 'Too many requests' }, { 'Retry-After': '1' }], [200, { value: 3 }]],
+    '/retry-later': [[503, { message: 'maintenance' }, { 'Retry-After': '120' }], [200, { value: 4 }]],
+    '/retry-deadline': [[429, { cod: 429, message: 'Too many requests' }, { 'Retry-After': '2' }], [200, { value: 5 }]],
+};
+const hits = {};
+let server;
+let base;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        const responses = routes[req.url];
+        const [code, body, headers = {}] = responses[Math.min(hits[req.url], responses.length) - 1];
+        res.writeHead(code, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('a 2xx JSON body is OK', async () => {
+    assert.deepEqual(await fetchUpstreamJson(`${base}/ok`, 'Test'), { data: { value: 1 }, status: 'OK' });
+});
+
+test('client errors with a JSON body are FETCH ERROR, without retrying', async () => {
+    assert.deepEqual(await fetchUpstreamJson(`${base}/unauthorized`, 'Test', { retries: 1 }), { data: {}, status: 'FETCH ERROR' });
+    assert.equal(hits['/unauthorized'], 1);
+    assert.deepEqual(await fetchUpstreamJson(`${base}/problem`, 'Test'), { data: {}, status: 'FETCH ERROR' });
+});
+
+test('server errors are retried', async () => {
+    assert.deepEqual(await fetchUpstreamJson(`${base}/flaky`, 'Test', { retries: 1 }), { data: { value: 2 }, status: 'OK' });
+    assert.equal(hits['/flaky'], 2);
+});
+
+test('rate limits are retried, then reported as FETCH ERROR', async () => {
+    assert.deepEqual(await fetchUpstreamJson(`${base}/limited`, 'Test', { retries: 1 }), { data: {}, status: 'FETCH ERROR' });
+    assert.equal(hits['/limited'], 2);
+});
+
+test('retries wait for Retry-After', async () => {
+    const start = Date.now();
+    assert.deepEqual(await fetchUpstreamJson(`${base}/retry-after`, 'Test', { retries: 1 }), { data: { value: 3 }, status: 'OK' });
+    assert.ok(Date.now() - start >= 1000);
+    assert.equal(hits['/retry-after'], 2);
+});
+
+test('a Retry-After too long to wait for, or past the deadline, ends the fetch', async () => {
+    const start = Date.now();
+    assert.deepEqual(await fetchUpstreamJson(`${base}/retry-later`, 'Test', { retries: 1 }), { data: {}, status: 'FETCH ERROR' });
+    assert.equal(hits['/retry-later'], 1);
+    assert.deepEqual(await fetchUpstreamJson(`${base}/retry-deadline`, 'Test', { retries: 1, deadline: Date.now() + 1000 }), { data: {}, status: 'FETCH ERROR' });
+    assert.equal(hits['/retry-deadline'], 1);
+    assert.ok(Date.now() - start < 1000);
+});
@@ -0,0 +1,22 @@
+// Shared request helpers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCoordinates } from '../utils.js';
+
+test('plain decimal coordinates are accepted as strings or numbers', () => {
+    assert.deepEqual(parseCoordinates('41.88', '-87.63'), { lat: 41.88, lon: -87.63 });
+    assert.deepEqual(parseCoordinates('+12', '.5'), { lat: 12, lon: 0.5 });
+    assert.deepEqual(parseCoordinates(-90, 180), { lat: -90, lon: 180 });
+});
+
+test('junk, repeated parameters and out of range coordinates are rejected', () => {
+    assert.equal(parseCoordinates('12abc', '-88'), null);
+    assert.equal(parseCoordinates(['1', '2'], '-88'), null);
+    assert.equal(parseCoordinates('', '-88'), null);
+    assert.equal(parseCoordinates('0x10', '-88'), null);
+    assert.equal(parseCoordinates('1e2', '-88'), null);
+    assert.equal(parseCoordinates('41', undefined), null);
+    assert.equal(parseCoordinates('90.5', '-88'), null);
+    assert.equal(parseCoordinates('41', '-180.1'), null);
+    assert.equal(parseCoordinates(NaN, 0), null);
+});
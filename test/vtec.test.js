@@ -0,0 +1,60 @@
+// Alert lifecycle states from P-VTEC, including upgrades that carry two VTEC strings
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVtec, alertLifecycle } from '../vtec.js';
+
+const alert = (id, vtec, extra = {}) => ({ id, sent: '2026-01-19T15:02:00-06:00', parameters: { VTEC: vtec }, ...extra });
+
+test('parseVtec reads every field, with null for until further notice', () => {
+    assert.deepEqual(parseVtec('/O.NEW.KLOT.WS.W.0005.260120T0600Z-000000T0000Z/'), {
+        product_class: 'O',
+        action: 'NEW',
+        office: 'KLOT',
+        phenomenon: 'WS',
+        significance: 'W',
+        etn: 5,
+        begins: '2026-01-20T06:00:00.000Z',
+        ends: null,
+    });
+    assert.equal(parseVtec('no vtec here'), null);
+});
+
+test('a single VTEC reports its own action', () => {
+    const lifecycle = alertLifecycle(alert('urn:test:con', ['/O.CON.KLOT.WS.A.0003.260120T0600Z-260121T0000Z/']));
+    assert.equal(lifecycle.state, 'CON');
+    assert.equal(lifecycle.event_key, 'KLOT.WS.A.0003.2026');
+    assert.equal(lifecycle.replaces, null);
+});
+
+test('a watch upgraded to a warning is UPG under the warning, linking the watch', () => {
+    const lifecycle = alertLifecycle(alert('urn:test:upg', [
+        '/O.UPG.KLOT.WS.A.0003.260120T0600Z-260121T0000Z/',
+        '/O.NEW.KLOT.WS.W.0005.260120T0600Z-260121T0000Z/',
+    ]));
+    assert.equal(lifecycle.state, 'UPG');
+    assert.equal(lifecycle.event_key, 'KLOT.WS.W.0005.2026');
+    assert.equal(lifecycle.replaces, 'KLOT.WS.A.0003.2026');
+    assert.equal(lifecycle.vtec.length, 2);
+});
+
+test('an upgrade into an existing event (EXB) is UPG as well', () => {
+    const lifecycle = alertLifecycle(alert('urn:test:exb', [
+        '/O.UPG.KDVN.WI.Y.0012.260119T1800Z-260120T0000Z/',
+        '/O.EXB.KDVN.HW.W.0002.260119T1800Z-260120T0300Z/',
+    ]));
+    assert.equal(lifecycle.state, 'UPG');
+    assert.equal(lifecycle.event_key, 'KDVN.HW.W.0002.2026');
+    assert.equal(lifecycle.replaces, 'KDVN.WI.Y.0012.2026');
+});
+
+test('a cancellation keeps the cancelled event key', () => {
+    const lifecycle = alertLifecycle(alert('urn:test:can', ['/O.CAN.KLOT.WS.W.0005.000000T0000Z-260121T0000Z/']));
+    assert.equal(lifecycle.state, 'CAN');
+    assert.equal(lifecycle.event_key, 'KLOT.WS.W.0005.2026');
+});
+
+test('alerts without VTEC fall back to the CAP message type', () => {
+    const lifecycle = alertLifecycle({ id: 'urn:test:sps', messageType: 'Update', parameters: {} });
+    assert.equal(lifecycle.state, 'CON');
+    assert.equal(lifecycle.event_key, 'urn:test:sps');
+});
@@ -0,0 +1,97 @@
+// This script handles unit selection for /onecall responses
+// Data is parsed in SI units (Kelvin, m/s, km, hPa, mm/h) and converted once at the end
+
+// Conversions from the internal SI unit of each quantity, with the decimals kept in the output
+const conversions = {
+    temperature: {
+        K: { convert: (v) => v, decimals: 2 },
+        C: { convert: (v) => v - 273.15, decimals: 2 },
+        F: { convert: (v) => (v - 273.15) * 9/5 + 32, decimals: 2 },
+    },
+    wind: {
+        'm/s': { convert: (v) => v, decimals: 2 },
+        'km/h': { convert: (v) => v * 3.6, decimals: 2 },
+        mph: { convert: (v) => v / 0.44704, decimals: 2 },
+        kt: { convert: (v) => v * 3600 / 1852, decimals: 2 },
+    },
+    pressure: {
+        hPa: { convert: (v) => v, decimals: 2 },
+        kPa: { convert: (v) => v / 10, decimals: 3 },
+        inHg: { convert: (v) => v / 33.8639, decimals: 2 },
+        mmHg: { convert: (v) => v / 1.333224, decimals: 1 },
+    },
+    distance: {
+        km: { convert: (v) => v, decimals: 2 },
+        m: { convert: (v) => v * 1000, decimals: 0 },
+        mi: { convert: (v) => v / 1.60934, decimals: 2 },
+    },
+    precipitation: {
+        'mm/h': { convert: (v) => v, decimals: 2 },
+        'in/h': { convert: (v) => v / 25.4, decimals: 3 },
+    },
+};
+
+// Unit systems selectable with `units=`, named like OWM's
+const unitSystems = {
+    standard: { temperature: 'K', wind: 'm/s', pressure: 'hPa', distance: 'km', precipitation: 'mm/h' },
+    metric: { temperature: 'C', wind: 'm/s', pressure: 'hPa', distance: 'km', precipitation: 'mm/h' },
+    imperial: { temperature: 'F', wind: 'mph', pressure: 'inHg', distance: 'mi', precipitation: 'in/h' },
+};
+
+// Query spellings accepted for per-quantity overrides (e.g. wind=kt, pressure=inHg)
+const aliases = {
+    k: 'K', kelvin: 'K', c: 'C', celsius: 'C', f: 'F', fahrenheit: 'F',
+    ms: 'm/s', 'm/s': 'm/s', kmh: 'km/h', 'km/h': 'km/h', kph: 'km/h', mph: 'mph', kt: 'kt', kts: 'kt', knots: 'kt',
+    hpa: 'hPa', mb: 'hPa', kpa: 'kPa', inhg: 'inHg', mmhg: 'mmHg',
+    km: 'km', m: 'm', mi: 'mi',
+    mm: 'mm/h', 'mm/h': 'mm/h', in: 'in/h', 'in/h': 'in/h',
+};
+
+// Resolve the units for a request from its query; returns { units } or { error }
+function resolveUnits(query) {
+    const system = String(query.units || 'standard').toLowerCase();
+    if (!Object.hasOwn(unitSystems, system)) {
+        return { error: `Invalid units "${query.units}", expected one of: ${Object.keys(unitSystems).join(', ')}` };
+    }
+
+    const units = { system, ...unitSystems[system] };
+    for (const quantity of Object.keys(conversions)) {
+        if (query[quantity] === undefined) continue;
+        const unit = aliases[String(query[quantity]).toLowerCase()];
+        if (!unit || !conversions[quantity][unit]) {
+            return { error: `Invalid ${quantity} unit "${query[quantity]}", expected one of: ${Object.keys(conversions[quantity]).join(', ')}` };
+        }
+        units[quantity] = unit;
+    }
+    return { units };
+}
+
+// Convert a single SI value of `quantity` to the selected unit and round it
+function convertValue(value, quantity, units) {
+    if (value === null || value === undefined || isNaN(value)) return value ?? null;
+    const { convert, decimals } = conversions[quantity][units?.[quantity] || unitSystems.standard[quantity]];
+    const factor = Math.pow(10, decimals);
+    return Math.round(convert(value) * factor) / factor;
+}
+
+// Convert a difference between two SI values of `quantity` (e.g. a 2 K spread is 3.6 °F).
+// Every conversion is linear, so dropping the offset of zero converts the difference.
+function convertDifference(value, quantity, units) {
+    if (value === null || value === undefined || isNaN(value)) return value ?? null;
+    const { convert, decimals } = conversions[quantity][units?.[quantity] || unitSystems.standard[quantity]];
+    const factor = Math.pow(10, decimals);
+    return Math.round((convert(value) - convert(0)) * factor) / factor;
+}
+
+// Convert the listed fields of an object in place
+function convertFields(target, fields, units) {
+    if (!target) return;
+    Object.entries(fields).forEach(([field, quantity]) => {
+        if (field in target) {
+            target[field] = convertValue(target[field], quantity, units);
+        }
+    });
+}
+
+// Exports
+export { unitSystems, resolveUnits, convertValue, convertDifference, convertFields };
@@ -0,0 +1,92 @@
+// This script handles fetching JSON from the per-request upstream sources (OWM, NWS, ...)
+
+// Imports
+import { logMessage } from './logging.js';
+import { trackUpstream } from './metrics.js';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+dotenv.config({ quiet: true });
+var loglevel = process.env.LOG_LEVEL || 'info';
+
+// Wait (ms) before retrying a rate limit or server error without a Retry-After header, doubled for
+// each attempt, and the longest Retry-After that is waited for
+const retryDelay = 500;
+const maxRetryDelay = 10000;
+
+// Wait (ms) asked for by a Retry-After header (seconds or an HTTP date), else the backoff of the attempt
+function retryWait(retryAfter, attempt) {
+    if (retryAfter) {
+        const wait = /^\d+$/.test(retryAfter.trim()) ? parseInt(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+        if (!isNaN(wait)) return Math.max(0, wait);
+    }
+    return retryDelay * Math.pow(2, attempt);
+}
+
+// Helper to fetch JSON from a per-request upstream source with retries
+// Each attempt is limited to `timeout` ms and never runs past `deadline` (epoch ms)
+// Rate limits and server errors wait for Retry-After (or a short backoff) before the next attempt
+// `requestId` tags the log entries with the request that started the fetch
+// The outcome and duration are recorded in the metrics under `label`
+function fetchUpstreamJson(url, label, options = {}) {
+    return trackUpstream(label, fetchWithRetries(url, label, options));
+}
+
+async function fetchWithRetries(url, label, { timeout = 5000, retries = 0, deadline = Infinity, requestId } = {}) {
+    let status = 'FETCH ERROR';
+    const logFields = requestId ? { request_id: requestId } : {};
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            logMessage(`${label} fetch skipped: request deadline reached`, 'warn', loglevel, logFields);
+            return { data: {}, status: 'FETCH TIMEOUT' };
+        }
+
+        const attemptTimeout = Math.min(timeout, remaining);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), attemptTimeout);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            // Error bodies (OWM's { cod, message }, NWS problem+json) are not data; only rate
+            // limits and server errors are worth another attempt
+            if (!response.ok) {
+                logMessage(`Error fetching data from ${label}: HTTP ${response.status}`, 'error', loglevel, logFields);
+                status = 'FETCH ERROR';
+                if ((response.status !== 429 && response.status < 500) || attempt === retries) {
+                    return { data: {}, status };
+                }
+                // Retrying sooner than asked only burns quota; give up when the wait does not fit
+                const wait = retryWait(response.headers.get('retry-after'), attempt);
+                if (wait > maxRetryDelay || Date.now() + wait >= deadline) {
+                    logMessage(`${label} retry skipped: upstream asked to wait ${Math.ceil(wait / 1000)} seconds`, 'warn', loglevel, logFields);
+                    return { data: {}, status };
+                }
+                clearTimeout(timer);
+                await new Promise((resolve) => setTimeout(resolve, wait));
+                continue;
+            }
+            const data = await response.json();
+            return { data, status: 'OK' };
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                logMessage(`${label} fetch timeout: request exceeded ${attemptTimeout / 1000} seconds`, 'warn', loglevel, logFields);
+                status = 'FETCH TIMEOUT';
+            } else if (err.toString().includes("is not valid JSON")) {
+                // No data available for this location, retrying will not help
+                logMessage(`No ${label} data available at ${url.split('?')[0]}`, 'debug', loglevel, logFields);
+                return { data: {}, status: 'NO DATA' };
+            } else {
+                logMessage(`Error fetching data from ${label}: ${err.message}`, 'error', loglevel, logFields);
+                status = 'FETCH ERROR';
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return { data: {}, status };
+}
+
+// Exports
+export { fetchUpstreamJson };
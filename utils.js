@@ -0,0 +1,96 @@
+// This script holds small parsing, date and unit conversion helpers shared across the app
+
+import tzlookup from '@photostructure/tz-lookup';
+
+function safeParseInt(value) {
+    const parsed = parseInt(value);
+    return (isNaN(parsed) || parsed == null) ? null : parsed;
+}
+
+function safeParseFloat(value, places=2) {
+    const parsed = parseFloat(value, places);
+    return (isNaN(parsed) || parsed == null) ? null : parsed;
+}
+
+// Latitude and longitude of a request as numbers, or null when either is missing, not a plain
+// decimal number (e.g. "12abc", or an array from a repeated query parameter) or out of range
+function parseCoordinates(lat, lon) {
+    const parse = (value) => {
+        if (typeof value === 'number') return value;
+        return typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(value) ? Number(value) : NaN;
+    };
+    const point = { lat: parse(lat), lon: parse(lon) };
+    if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon) || Math.abs(point.lat) > 90 || Math.abs(point.lon) > 180) {
+        return null;
+    }
+    return point;
+}
+
+// Convert a unix timestamp (seconds) to an ISO string, or null if missing
+function unixToIso(seconds) {
+    const parsed = safeParseInt(seconds);
+    return parsed ? new Date(parsed * 1000).toISOString() : null;
+}
+
+// IANA time zone for a point from the bundled lookup table, or null if it can not be resolved
+function timezoneAt(lat, lon) {
+    try {
+        return tzlookup(parseFloat(lat), parseFloat(lon));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Calendar date ("YYYY-MM-DD") of a time in the given IANA time zone, UTC if none is given
+function localDate(value, timezone) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    try {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+    } catch (e) {
+        return date.toISOString().split('T')[0];
+    }
+}
+
+// Unit conversions into the SI units used throughout the app, null-safe
+function fahrenheitToKelvin(value) {
+    const parsed = safeParseFloat(value);
+    return parsed === null ? null : (parsed - 32) * 5/9 + 273.15;
+}
+
+function celsiusToKelvin(value) {
+    const parsed = safeParseFloat(value);
+    return parsed === null ? null : parsed + 273.15;
+}
+
+function mphToMs(value) {
+    const parsed = safeParseFloat(value);
+    return parsed === null ? null : parsed * 0.44704;
+}
+
+function milesToKm(value) {
+    const parsed = safeParseFloat(value);
+    return parsed === null ? null : parsed * 1.60934;
+}
+
+function inHgToHpa(value) {
+    const parsed = safeParseFloat(value);
+    return parsed === null ? null : parsed * 33.8639;
+}
+
+// Run `fn` over every item with at most `limit` calls in progress at once
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Exports
+export { safeParseInt, safeParseFloat, parseCoordinates, unixToIso, timezoneAt, localDate, fahrenheitToKelvin, celsiusToKelvin, mphToMs, milesToKm, inHgToHpa, mapLimit };
@@ -0,0 +1,106 @@
+// This script parses P-VTEC strings from NWS alerts and keeps track of the alert events
+// the server has already seen, so each alert can be reported with its lifecycle state
+
+// e.g. /O.NEW.KILX.TO.W.0045.261020T0112Z-261020T0145Z/
+const vtecPattern = /\/([OTEX])\.([A-Z]{3})\.([A-Z]{4})\.([A-Z]{2})\.([A-Z])\.(\d{4})\.(\d{6}T\d{4}Z)-(\d{6}T\d{4}Z)\//;
+
+// Actions that only replace another event or end it, rather than describing the alert's own event
+const replacedActions = ['UPG', 'CAN', 'EXP'];
+
+// Events not seen for this long are forgotten
+const eventRetention = 48 * 60 * 60 * 1000;
+
+const events = new Map();
+let lastPrune = 0;
+
+// Convert a VTEC time (yymmddThhmmZ) to ISO; all zeros means "until further notice"
+function vtecTime(stamp) {
+    if (!stamp || stamp.startsWith('000000')) return null;
+    const [, yy, mm, dd, hh, mi] = stamp.match(/^(\d{2})(\d{2})(\d{2})T(\d{2})(\d{2})Z$/) || [];
+    if (!yy) return null;
+    return new Date(Date.UTC(2000 + parseInt(yy, 10), parseInt(mm, 10) - 1, parseInt(dd, 10), parseInt(hh, 10), parseInt(mi, 10))).toISOString();
+}
+
+// Parse one P-VTEC string, or return null if it is not one
+function parseVtec(text) {
+    const match = (text || '').match(vtecPattern);
+    if (!match) return null;
+    return {
+        product_class: match[1],
+        action: match[2],
+        office: match[3],
+        phenomenon: match[4],
+        significance: match[5],
+        etn: parseInt(match[6], 10),
+        begins: vtecTime(match[7]),
+        ends: vtecTime(match[8]),
+    };
+}
+
+// Key identifying one VTEC event across all its versions; ETNs restart every year
+function vtecEventKey(vtec, sent) {
+    const year = (vtec.begins || sent || new Date().toISOString()).slice(0, 4);
+    return `${vtec.office}.${vtec.phenomenon}.${vtec.significance}.${String(vtec.etn).padStart(4, '0')}.${year}`;
+}
+
+// Record that an alert version was seen, and return the event's tracking record
+function trackAlertEvent(key, alertId, state) {
+    const now = Date.now();
+    if (now - lastPrune > 60 * 60 * 1000) {
+        lastPrune = now;
+        for (const [eventKey, record] of events) {
+            if (now - record.last_seen > eventRetention) events.delete(eventKey);
+        }
+    }
+
+    let record = events.get(key);
+    if (!record) {
+        record = { first_seen: now, updated: now, last_seen: now, state: state, versions: new Set() };
+        events.set(key, record);
+    }
+    if (alertId && !record.versions.has(alertId)) {
+        record.versions.add(alertId);
+        record.updated = now;
+        record.state = state;
+    }
+    record.last_seen = now;
+    return record;
+}
+
+// Lifecycle of an alert from its VTEC parameters, falling back to the CAP messageType for
+// products without VTEC (e.g. Special Weather Statements)
+function alertLifecycle(properties) {
+    const vtecs = (properties?.parameters?.VTEC || []).map(parseVtec).filter(Boolean);
+
+    // An upgrade carries the UPG of the old event and the NEW (or EXA/EXB) of this one; the key
+    // is this one's, and the state UPG with the replaced event's key
+    const primary = vtecs.find((vtec) => !replacedActions.includes(vtec.action)) || vtecs[0] || null;
+    const upgrade = vtecs.find((vtec) => vtec.action === 'UPG') || null;
+
+    let state;
+    let key;
+    let replaces = null;
+    if (primary) {
+        state = upgrade ? 'UPG' : primary.action;
+        key = vtecEventKey(primary, properties?.sent);
+        const upgradedKey = upgrade ? vtecEventKey(upgrade, properties?.sent) : null;
+        replaces = upgradedKey !== key ? upgradedKey : null;
+    } else {
+        state = { Alert: 'NEW', Update: 'CON', Cancel: 'CAN' }[properties?.messageType] || null;
+        key = properties?.id || null;
+    }
+
+    const record = key ? trackAlertEvent(key, properties?.id, state) : null;
+    return {
+        state: state,
+        event_key: key,
+        replaces: replaces,
+        vtec: vtecs,
+        first_seen: record ? new Date(record.first_seen).toISOString() : null,
+        updated: record ? new Date(record.updated).toISOString() : null,
+        superseded: (properties?.references || []).map((reference) => reference?.identifier).filter(Boolean),
+    };
+}
+
+// Exports
+export { parseVtec, vtecEventKey, alertLifecycle };